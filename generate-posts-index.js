@@ -5,248 +5,880 @@
  * 
  * This script automatically scans the posts directory and generates
  * a posts.json file with metadata extracted from HTML files.
+ * Markdown posts (posts/*.md with front matter) are first compiled to
+ * HTML through layouts/post.html and then indexed like any other post.
+ * Alongside the index it writes the feeds, sitemap, search index, the
+ * category/, tag/ and archive/ listing pages and the og/ social cards.
  * 
- * Usage: node generate-posts-index.js
+ * Usage: node generate-posts-index.js          Generate posts/posts.json
+ *        node generate-posts-index.js --watch  Regenerate on changes
+ *        node generate-posts-index.js serve [--port 4000] [--host localhost]
+ *                                              Serve the site with live reload while regenerating on changes
+ *        node generate-posts-index.js --no-cache  Re-parse every post instead of reusing .cache/
+ *        node generate-posts-index.js build    Generate the index and a static site (dist/ by default)
+ *        node generate-posts-index.js --check  Validate post metadata, exit non-zero on errors
+ *        node generate-posts-index.js check-links  Build, then check every internal link and anchor in the built site
+ *        node generate-posts-index.js --publish-due  Publish scheduled posts whose date has arrived
+ *        node generate-posts-index.js new "Title" [--category C] [--tags a,b] [--description D]
+ *            [--date YYYY-MM-DD] [--series S --series-part N] [--draft] [--markdown]
+ *                                              Scaffold posts/<slug>.html (or .md) and refresh the index
+ *
+ * Drafts and future-dated posts are left out unless --drafts / --future is passed.
+ *
+ * Settings come from site.config.json and can be overridden per run:
+ *   --config <file>, --site-title, --site-url, --author, --posts-dir,
+ *   --output-dir, --posts-per-page, --words-per-minute and
+ *   --<feature> / --no-<feature> (feeds, sitemap, search, related-posts, social-cards)
+ *
+ * From Node, createIndexer(options) returns the same commands; plugins
+ * (listed in site.config.json or passed in options.plugins) hook into
+ * parsing, indexing and output, see lib/plugins.js:
+ *   const { createIndexer } = require('./generate-posts-index');
+ *   await createIndexer({ plugins: [myPlugin] }).build();
  */
 
 const fs = require('fs');
 const path = require('path');
 const { JSDOM } = require('jsdom');
+const { compileMarkdownPost, findOrphanedOutput } = require('./lib/markdown');
+const { buildSite, PARTIALS } = require('./lib/build');
+const { generateFeeds } = require('./lib/feeds');
+const { generateSitemap } = require('./lib/sitemap');
+const { generateSearchIndex } = require('./lib/search');
+const { findRelatedPosts } = require('./lib/related');
+const { generateListingPages } = require('./lib/listings');
+const { assignHeadingIds } = require('./lib/toc');
+const { localDate, publishState, selectPosts } = require('./lib/publishing');
+const { collectSeries } = require('./lib/series');
+const { linkTranslations, collectLanguages } = require('./lib/translations');
+const { splitAuthors, loadAuthors, resolveAuthors } = require('./lib/authors');
+const { canRenderSocialCards, generateSocialCards } = require('./lib/social-cards');
+const { parseNewArgs, scaffoldPost } = require('./lib/scaffold');
+const { parseServeArgs, startDevServer, watchSiteFiles } = require('./lib/serve');
+const { contentStats, readMinutes, formatReadTime, totalStats } = require('./lib/stats');
+const { checkPost, printReport } = require('./lib/check');
+const { checkLinks } = require('./lib/links');
+const { mergeIndex } = require('./lib/merge');
+const { hashContent, loadCache, saveCache } = require('./lib/cache');
+const { getLastModified, lastModifiedLookup } = require('./lib/utils');
+const { loadConfig, parseConfigArgs, writeBrowserConfig, BROWSER_CONFIG_FILE } = require('./lib/config');
+const { loadPlugins, hooksFor } = require('./lib/plugins');
 
-const POSTS_DIR = path.join(__dirname, 'posts');
-const OUTPUT_FILE = path.join(POSTS_DIR, 'posts.json');
+const ROOT_DIR = __dirname;
+const CACHE_FILE = path.join(__dirname, '.cache', 'posts-index.json');
+const WATCH_DEBOUNCE_MS = 300;
+// Settings parsePost() reads; output-only options and feature switches don't touch the cache
+const PARSE_SETTINGS = ['siteUrl', 'author', 'wordsPerMinute', 'defaultCategory', 'defaultTags', 'defaultLanguage', 'postsDir'];
 
-// Configuration
-const CONFIG = {
-    author: 'SilentCoderHub',
-    wordsPerMinute: 200,
-    defaultCategory: 'General',
-    defaultTags: ['Blog']
-};
 
 /**
- * Extract metadata from HTML file
+ * Create an indexer. Options:
+ *   configFile, overrides  Where to read the site settings and what to override
+ *                          (see lib/config.js; parseConfigArgs() returns both)
+ *   config                 A ready configuration to use as is instead
+ *   plugins                Plugins to run after the ones listed in the config
+ *                          (see lib/plugins.js for the hooks)
+ *
+ * Returns the config, the loaded plugins and the indexer's commands. Throws
+ * when the config is invalid or a plugin can't be loaded.
  */
-function extractMetadata(htmlContent, filename) {
-    const dom = new JSDOM(htmlContent);
-    const doc = dom.window.document;
-    
-    // Extract slug from filename
-    const slug = path.basename(filename, '.html');
+function createIndexer(options = {}) {
+    const config = options.config || loadConfig(ROOT_DIR, {
+        configFile: options.configFile,
+        overrides: options.overrides
+    });
+    const postsDir = config.postsPath;
+    const indexFile = path.join(postsDir, 'posts.json');
+    const plugins = loadPlugins(config, ROOT_DIR, options.plugins);
+    const pluginFiles = new Set(); // Written by emit hooks; `build` copies them too
     
-    // Extract title
-    const titleEl = doc.querySelector('h1, .post-title-main, title');
-    const title = titleEl ? titleEl.textContent.trim() : 'Untitled Post';
+    /**
+     * writeFile() for emit hooks: write `content` to a path relative to the site root
+     */
+    function writePluginFile(relativePath, content) {
+        const filePath = path.resolve(ROOT_DIR, relativePath);
+        const relative = path.relative(ROOT_DIR, filePath);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new Error(`writeFile: ${relativePath} is outside the site`);
+        }
+        
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        pluginFiles.add(relative.split(path.sep).join('/'));
+        console.log(`🧩 Plugin output written: ${relative}`);
+    }
     
-    // Extract excerpt from meta description or first paragraph
-    let excerpt = '';
-    const metaDesc = doc.querySelector('meta[name="description"]');
-    if (metaDesc) {
-        excerpt = metaDesc.getAttribute('content');
-    } else {
-        const firstP = doc.querySelector('.post-content p, p');
-        if (firstP) {
-            excerpt = firstP.textContent.trim();
-            if (excerpt.length > 200) {
-                excerpt = excerpt.substring(0, 200) + '...';
+    /**
+     * Last real change of a post's source file (the Markdown source for compiled posts).
+     * `lastModified` looks the date up; a run over every post passes a lastModifiedLookup().
+     */
+    function getPostLastModified(filename, date, lastModified = getLastModified) {
+        const htmlPath = path.resolve(postsDir, filename);
+        const markdownPath = htmlPath.replace(/\.html$/, '.md');
+        const sourcePath = fs.existsSync(markdownPath) ? markdownPath : htmlPath;
+        
+        if (fs.existsSync(sourcePath)) return lastModified(sourcePath);
+        return date ? new Date(`${date}T00:00:00Z`).toISOString() : new Date().toISOString();
+    }
+
+    /**
+     * Parse a post HTML file into its index metadata and its .post-content HTML
+     */
+    function parsePost(htmlContent, filename, lastModified) {
+        const dom = new JSDOM(htmlContent);
+        const doc = dom.window.document;
+        
+        // Extract slug from filename
+        const slug = path.basename(filename, '.html');
+        
+        // Extract title
+        const titleEl = doc.querySelector('h1') || doc.querySelector('.post-title-main') || doc.querySelector('title');
+        const title = titleEl ? titleEl.textContent.trim() : 'Untitled Post';
+        
+        // Extract excerpt from meta description or first paragraph
+        let excerpt = '';
+        const metaDesc = doc.querySelector('meta[name="description"]');
+        if (metaDesc) {
+            excerpt = metaDesc.getAttribute('content');
+        } else {
+            const firstP = doc.querySelector('.post-content p, p');
+            if (firstP) {
+                excerpt = firstP.textContent.trim();
+                if (excerpt.length > 200) {
+                    excerpt = excerpt.substring(0, 200) + '...';
+                }
+            }
+        }
+        
+        // Extract date (undated posts are treated as drafts, never stamped with today)
+        let date = null;
+        const metaDate = doc.querySelector('meta[name="date"], meta[property="article:published_time"]');
+        if (metaDate && metaDate.getAttribute('content').trim()) {
+            date = metaDate.getAttribute('content').trim().split('T')[0]; // Remove time if present
+        } else {
+            // Try to extract from filename pattern
+            const dateMatch = slug.match(/(\d{4}-\d{2}-\d{2})/);
+            if (dateMatch) {
+                date = dateMatch[1];
+            }
+        }
+        
+        // Extract category
+        let category = config.defaultCategory;
+        const metaCat = doc.querySelector('meta[name="category"]');
+        if (metaCat) {
+            category = metaCat.getAttribute('content');
+        } else {
+            const catEl = doc.querySelector('.post-category');
+            if (catEl) {
+                category = catEl.textContent.replace(/.*\s/, '').trim(); // Remove icon text
             }
         }
+        
+        // Extract tags
+        let tags = [...config.defaultTags];
+        const metaKeywords = doc.querySelector('meta[name="keywords"]');
+        if (metaKeywords) {
+            tags = metaKeywords.getAttribute('content')
+                .split(',')
+                .map(tag => tag.trim())
+                .filter(tag => tag.length > 0);
+        } else {
+            // Try to find tag elements
+            const tagElements = doc.querySelectorAll('.tag, .post-tag');
+            if (tagElements.length > 0) {
+                tags = Array.from(tagElements).map(el => el.textContent.trim());
+            }
+        }
+        
+        // Extract author(s); co-authors are comma separated
+        let author = config.author;
+        const metaAuthor = doc.querySelector('meta[name="author"]');
+        if (metaAuthor && metaAuthor.getAttribute('content').trim()) {
+            author = metaAuthor.getAttribute('content').trim();
+        }
+        
+        // Extract series membership
+        const metaSeries = doc.querySelector('meta[name="series"]');
+        const series = (metaSeries && metaSeries.getAttribute('content').trim()) || null;
+        const metaSeriesPart = doc.querySelector('meta[name="series-part"]');
+        const seriesPart = series && metaSeriesPart
+            ? parseInt(metaSeriesPart.getAttribute('content'), 10) || null
+            : null;
+        
+        // Extract language and translation group; translations share a key,
+        // the original's slug by default (see lib/translations.js)
+        const metaLang = doc.querySelector('meta[name="lang"]');
+        const lang = (metaLang && metaLang.getAttribute('content').trim()) ||
+            (doc.documentElement.getAttribute('lang') || '').trim() ||
+            config.defaultLanguage;
+        const metaTranslationKey = doc.querySelector('meta[name="translation-key"]');
+        const translationKey = (metaTranslationKey && metaTranslationKey.getAttribute('content').trim()) || slug;
+        
+        // Extract publishing status; whether a dated post is live yet is decided
+        // when the index is generated (see lib/publishing.js)
+        const metaStatus = doc.querySelector('meta[name="status"]');
+        const status = (metaStatus && metaStatus.getAttribute('content').trim().toLowerCase() === 'draft') || !date
+            ? 'draft'
+            : 'published';
+        
+        const contentEl = doc.querySelector('.post-content') || doc.body;
+        
+        // Content stats and reading time, from the article body only
+        const stats = contentStats(contentEl, { siteUrl: config.siteUrl });
+        stats.readMinutes = readMinutes(stats, config.wordsPerMinute);
+        
+        // Heading outline for the table of contents; ids also land in the content
+        const toc = assignHeadingIds(contentEl);
+        
+        const metadata = {
+            id: `post-${slug}`,
+            title,
+            excerpt: excerpt || 'No excerpt available.',
+            date,
+            category,
+            tags,
+            author,
+            authors: splitAuthors(author),
+            readTime: formatReadTime(stats.readMinutes),
+            slug,
+            stats,
+            status,
+            series,
+            seriesPart,
+            lang,
+            translationKey,
+            toc,
+            lastModified: getPostLastModified(filename, date, lastModified)
+        };
+        
+        // Extra metadata from plugins
+        hooksFor(plugins, 'extractMetadata').forEach(extract => {
+            Object.assign(metadata, extract({ doc, file: filename, metadata, content: contentEl }));
+        });
+        
+        return { metadata, content: contentEl.innerHTML.trim() };
     }
-    
-    // Extract date
-    let date = new Date().toISOString().split('T')[0]; // Default to today
-    const metaDate = doc.querySelector('meta[name="date"], meta[property="article:published_time"]');
-    if (metaDate) {
-        date = metaDate.getAttribute('content').split('T')[0]; // Remove time if present
-    } else {
-        // Try to extract from filename pattern
-        const dateMatch = slug.match(/(\d{4}-\d{2}-\d{2})/);
-        if (dateMatch) {
-            date = dateMatch[1];
+
+    /**
+     * Extract metadata from HTML file
+     */
+    function extractMetadata(htmlContent, filename) {
+        return parsePost(htmlContent, filename).metadata;
+    }
+
+    /**
+     * Compile every Markdown post to HTML next to its source
+     */
+    function compileMarkdownPosts() {
+        // Drop HTML whose Markdown source was deleted or renamed
+        for (const file of findOrphanedOutput(postsDir)) {
+            fs.unlinkSync(path.join(postsDir, file));
+            console.log(`🗑️  Removed ${file} (its Markdown source is gone)`);
+        }
+        
+        const markdownFiles = fs.readdirSync(postsDir)
+            .filter(file => file.endsWith('.md'))
+            .sort();
+        
+        for (const file of markdownFiles) {
+            try {
+                if (compileMarkdownPost(path.join(postsDir, file), config)) {
+                    console.log(`📝 Compiled: ${file}`);
+                }
+            } catch (error) {
+                console.error(`❌ Error compiling ${file}:`, error.message);
+            }
         }
     }
-    
-    // Extract category
-    let category = CONFIG.defaultCategory;
-    const metaCat = doc.querySelector('meta[name="category"]');
-    if (metaCat) {
-        category = metaCat.getAttribute('content');
-    } else {
-        const catEl = doc.querySelector('.post-category');
-        if (catEl) {
-            category = catEl.textContent.replace(/.*\s/, '').trim(); // Remove icon text
+
+    /**
+     * Scan posts directory and generate index.
+     * Posts whose content hash matches the cache are not re-parsed unless
+     * `options.cache` is false; `options.drafts` / `options.future` include
+     * drafts and scheduled posts for previews. Returns the index data, or
+     * undefined with process.exitCode set when a plugin or the run fails.
+     */
+    async function generatePostsIndex(options = {}) {
+        const useCache = options.cache !== false;
+        
+        try {
+            console.log('🔍 Scanning posts directory...');
+            
+            // Check if posts directory exists
+            if (!fs.existsSync(postsDir)) {
+                console.error('❌ Posts directory not found:', postsDir);
+                return;
+            }
+            
+            compileMarkdownPosts();
+            
+            // Read all HTML files in posts directory (header/footer partials aren't posts)
+            const files = fs.readdirSync(postsDir)
+                .filter(file => file.endsWith('.html') && !PARTIALS.includes(file))
+                .sort();
+            
+            if (files.length === 0) {
+                console.log('⚠️  No HTML files found in posts directory');
+                return;
+            }
+            
+            console.log(`📄 Found ${files.length} post files:`, files.map(f => `  - ${f}`).join('\n'));
+            
+            // Plugins can change what gets cached, so their options and code are part of the signature
+            const parseSettings = Object.fromEntries(PARSE_SETTINGS.map(key => [key, config[key]]));
+            const cache = loadCache(CACHE_FILE, {
+                ...parseSettings,
+                plugins: plugins.map(plugin => [plugin.name, plugin.signature])
+            });
+            const lastModified = lastModifiedLookup(postsDir);
+            const nextCache = { signature: cache.signature, files: {} };
+            const changes = { added: [], changed: [], removed: [], unchanged: 0 };
+            
+            const parsedPosts = [];
+            const contents = {};
+            
+            // Process each HTML file
+            for (const file of files) {
+                try {
+                    const filePath = path.join(postsDir, file);
+                    
+                    // Plugins may rewrite the HTML before it is parsed, or skip the file
+                    let htmlContent = fs.readFileSync(filePath, 'utf8');
+                    let skipped = false;
+                    for (const onFile of hooksFor(plugins, 'onFile')) {
+                        const result = await onFile({ file, filePath, html: htmlContent });
+                        if (result === false) {
+                            skipped = true;
+                            break;
+                        }
+                        if (typeof result === 'string') htmlContent = result;
+                    }
+                    if (skipped) {
+                        console.log(`⏭️  Skipped by a plugin: ${file}`);
+                        continue;
+                    }
+                    
+                    const hash = hashContent(htmlContent);
+                    const cached = cache.files[file];
+                    
+                    let parsed;
+                    if (useCache && cached && cached.hash === hash) {
+                        // Unchanged content; only the file history can have moved on
+                        parsed = {
+                            metadata: {
+                                ...cached.metadata,
+                                lastModified: getPostLastModified(file, cached.metadata.date, lastModified)
+                            },
+                            content: cached.content
+                        };
+                        changes.unchanged++;
+                    } else {
+                        parsed = parsePost(htmlContent, file, lastModified);
+                        (cached ? changes.changed : changes.added).push(file);
+                        console.log(`✅ Processed: ${parsed.metadata.title}`);
+                    }
+                    
+                    const { metadata, content } = parsed;
+                    nextCache.files[file] = { hash, metadata, content };
+                    parsedPosts.push(metadata);
+                    contents[metadata.slug] = content;
+                } catch (error) {
+                    // A broken post is skipped; a broken plugin fails the whole run
+                    if (error.plugin) throw error;
+                    console.error(`❌ Error processing ${file}:`, error.message);
+                }
+            }
+            
+            changes.removed = Object.keys(cache.files).filter(file => !nextCache.files[file]);
+            saveCache(CACHE_FILE, nextCache);
+            
+            // Hold back drafts and posts dated in the future
+            const { posts, held } = selectPosts(parsedPosts, {
+                today: localDate(),
+                drafts: options.drafts,
+                future: options.future
+            });
+            held.draft.forEach(post => console.log(`📝 Draft, not published: ${post.slug}`));
+            held.scheduled.forEach(post => console.log(`⏳ Scheduled for ${post.date}: ${post.slug}`));
+            if (options.drafts || options.future) {
+                console.log('⚠️  Preview index includes unpublished posts - do not deploy it');
+            }
+            
+            // Resolve authors against authors.json (which may have changed since the cache was written)
+            const authorRegistry = loadAuthors();
+            posts.forEach(post => {
+                const { names, unknown } = resolveAuthors(post.authors, authorRegistry);
+                unknown.forEach(name => console.log(`⚠️  Unknown author "${name}" in ${post.slug} (add them to authors.json)`));
+                post.authors = names;
+                post.author = names.join(', ');
+            });
+            
+            // Plugin transforms; a transform returning null leaves the post out
+            const transforms = hooksFor(plugins, 'transformPost');
+            if (transforms.length > 0) {
+                const transformed = [];
+                for (let post of posts) {
+                    for (const transform of transforms) {
+                        const result = await transform(post, { content: contents[post.slug] });
+                        if (result !== undefined) post = result;
+                        if (!post) break;
+                    }
+                    if (post) transformed.push(post);
+                }
+                posts.splice(0, posts.length, ...transformed);
+            }
+            
+            const categories = new Set(posts.map(post => post.category));
+            const tags = new Set(posts.flatMap(post => post.tags));
+            
+            // Sort posts by date (newest first)
+            posts.sort((a, b) => new Date(b.date) - new Date(a.date));
+            
+            // Link each post to its published translations
+            linkTranslations(posts).forEach(({ key, lang, slugs }) => {
+                console.log(`⚠️  Translation group "${key}" has more than one "${lang}" post: ${slugs.join(', ')}`);
+            });
+            const languages = collectLanguages(posts);
+            
+            // Related reading stays within the reader's language
+            if (config.features.relatedPosts) {
+                languages.forEach(({ code }) => {
+                    const sameLanguage = posts.filter(post => post.lang === code);
+                    const related = findRelatedPosts(sameLanguage, contents, { limit: config.relatedPosts });
+                    sameLanguage.forEach(post => { post.related = related[post.slug]; });
+                });
+            }
+            
+            // Create the index data structure
+            const generatedData = {
+                generated: new Date().toISOString(),
+                totalPosts: posts.length,
+                posts: posts,
+                categories: Array.from(categories).sort().map(cat => ({
+                    name: cat,
+                    count: posts.filter(p => p.category === cat).length,
+                    description: `Posts about ${cat}`
+                })),
+                tags: Array.from(tags).sort().map(tag => ({
+                    name: tag,
+                    count: posts.filter(p => p.tags.includes(tag)).length
+                })),
+                series: collectSeries(posts),
+                languages,
+                stats: totalStats(posts)
+            };
+            
+            // Merge into the existing index so curated descriptions, the tag vocabulary
+            // and any extra keys survive regeneration
+            let existingData = null;
+            if (fs.existsSync(indexFile)) {
+                try {
+                    existingData = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+                } catch (error) {
+                    console.error('⚠️  Existing index is not valid JSON, starting fresh:', error.message);
+                }
+            }
+            const { index: indexData, report } = mergeIndex(existingData, generatedData);
+            
+            for (const afterIndex of hooksFor(plugins, 'afterIndex')) {
+                await afterIndex(indexData, { contents });
+            }
+            
+            // Write the index file
+            fs.writeFileSync(indexFile, JSON.stringify(indexData, null, 2) + '\n', 'utf8');
+            
+            report.newCategories.forEach(name => console.log(`🆕 New category: ${name}`));
+            report.newTags.forEach(tag => console.log(`⚠️  New tag added to the vocabulary: ${tag.name} (used in ${tag.posts.join(', ')})`));
+            
+            console.log('\n🎉 Successfully generated posts index!');
+            console.log(`📊 Statistics:`);
+            console.log(`   - Total posts: ${indexData.totalPosts}`);
+            console.log(`   - Categories: ${indexData.categories.length}`);
+            console.log(`   - Tags: ${indexData.tags.length}`);
+            console.log(`   - Series: ${indexData.series.length}`);
+            console.log(`   - Languages: ${indexData.languages.map(({ code, count }) => `${code} (${count})`).join(', ')}`);
+            console.log(`   - Total words: ${indexData.stats.totalWords.toLocaleString()}`);
+            console.log(`   - Code blocks: ${indexData.stats.totalCodeBlocks} (${indexData.stats.totalCodeLines.toLocaleString()} lines), ` +
+                `images: ${indexData.stats.totalImages}, ` +
+                `outbound links: ${indexData.stats.totalOutboundLinks}`);
+            console.log(`   - Average read time: ${indexData.stats.averageReadTime} minutes`);
+            console.log(`🔁 Changes: ${changes.added.length} added, ${changes.changed.length} changed, ` +
+                `${changes.removed.length} removed, ${changes.unchanged} unchanged (cached)`);
+            changes.added.forEach(file => console.log(`   + ${file}`));
+            changes.changed.forEach(file => console.log(`   ~ ${file}`));
+            changes.removed.forEach(file => console.log(`   - ${file}`));
+            console.log(`📁 Index saved to: ${indexFile}`);
+            
+            if (writeBrowserConfig(config, ROOT_DIR)) {
+                console.log(`⚙️  Browser settings written to ${BROWSER_CONFIG_FILE}`);
+            }
+            
+            if (config.features.feeds) {
+                generateFeeds(indexData, contents, {
+                    siteUrl: config.siteUrl,
+                    siteTitle: config.siteTitle,
+                    siteDescription: config.siteDescription,
+                    defaultLanguage: config.defaultLanguage,
+                    postsDir: config.postsDir,
+                    outputDir: ROOT_DIR
+                });
+            }
+            
+            const listingPages = generateListingPages(indexData, {
+                siteUrl: config.siteUrl,
+                siteTitle: config.siteTitle,
+                outputDir: ROOT_DIR,
+                postsDir: config.postsDir,
+                postsPerPage: config.postsPerPage,
+                authors: authorRegistry
+            });
+            
+            if (config.features.sitemap) {
+                generateSitemap(indexData, {
+                    siteUrl: config.siteUrl,
+                    rootDir: ROOT_DIR,
+                    postsDir: config.postsDir,
+                    outputDir: ROOT_DIR,
+                    excludeDrafts: config.sitemapExcludeDrafts,
+                    listingPages
+                });
+            }
+            
+            if (config.features.search) {
+                generateSearchIndex(indexData, contents, { outputDir: ROOT_DIR });
+            }
+            
+            if (config.features.socialCards) {
+                generateSocialCards(indexData.posts, {
+                    outputDir: ROOT_DIR,
+                    siteTitle: config.siteTitle
+                });
+                if (!canRenderSocialCards()) {
+                    console.warn('⚠️  Social cards written as SVG only: @resvg/resvg-js is not installed (run npm install ' +
+                        'for PNG cards, which more sites show in link previews)');
+                }
+            }
+            
+            for (const emit of hooksFor(plugins, 'emit')) {
+                await emit({ indexData, contents, config, writeFile: writePluginFile });
+            }
+            
+            return indexData;
+        } catch (error) {
+            console.error('❌ Error generating posts index:', error.plugin ? error.message : error);
+            process.exitCode = 1;
         }
     }
-    
-    // Extract tags
-    let tags = [...CONFIG.defaultTags];
-    const metaKeywords = doc.querySelector('meta[name="keywords"]');
-    if (metaKeywords) {
-        tags = metaKeywords.getAttribute('content')
-            .split(',')
-            .map(tag => tag.trim())
-            .filter(tag => tag.length > 0);
-    } else {
-        // Try to find tag elements
-        const tagElements = doc.querySelectorAll('.tag, .post-tag');
-        if (tagElements.length > 0) {
-            tags = Array.from(tagElements).map(el => el.textContent.trim());
+
+    /**
+     * Validate every post's metadata without writing the index.
+     * Returns the number of errors found.
+     */
+    function checkPosts() {
+        console.log('🔎 Checking post metadata...\n');
+        
+        compileMarkdownPosts();
+        
+        // Compare against what is currently published in posts.json
+        const indexed = {};
+        if (fs.existsSync(indexFile)) {
+            try {
+                JSON.parse(fs.readFileSync(indexFile, 'utf8')).posts
+                    .forEach(post => { indexed[post.slug] = post; });
+            } catch (error) {
+                console.error('❌ Could not read existing index:', error.message);
+            }
         }
+        
+        const files = fs.readdirSync(postsDir)
+            .filter(file => file.endsWith('.html') && !PARTIALS.includes(file))
+            .sort();
+        
+        const results = files.map(file => {
+            try {
+                const htmlContent = fs.readFileSync(path.join(postsDir, file), 'utf8');
+                const { metadata } = parsePost(htmlContent, file);
+                const issues = checkPost(htmlContent, metadata, indexed[metadata.slug], config);
+                
+                // Drafts and scheduled posts are not supposed to be listed yet
+                if (!indexed[metadata.slug] && publishState(metadata, localDate()) === 'published') {
+                    issues.push({ level: 'warning', message: 'not listed in posts.json yet' });
+                }
+                return { file, issues };
+            } catch (error) {
+                // A post (or a plugin hook) that can't be parsed fails the check like any other error
+                return { file, issues: [{ level: 'error', message: `could not be checked: ${error.message}` }] };
+            }
+        });
+        
+        return printReport(results);
     }
-    
-    // Calculate reading time
-    const content = doc.body.textContent || '';
-    const wordCount = content.split(/\s+/).filter(word => word.length > 0).length;
-    const readTime = Math.max(1, Math.ceil(wordCount / CONFIG.wordsPerMinute));
-    
-    // Extract author
-    let author = CONFIG.author;
-    const metaAuthor = doc.querySelector('meta[name="author"]');
-    if (metaAuthor) {
-        author = metaAuthor.getAttribute('content');
+
+    /**
+     * Generate the index and build the static site into dist/.
+     * Returns the index data, or undefined when a step failed.
+     */
+    async function build(options = {}) {
+        const indexData = await generatePostsIndex(options);
+        if (!indexData) return undefined;
+
+        const failedPages = buildSite(indexData, {
+            outputDir: config.outputPath,
+            postsDir: config.postsDir,
+            postsPerPage: config.postsPerPage,
+            maxRecentPosts: config.maxRecentPosts,
+            maxPopularTags: config.maxPopularTags,
+            siteUrl: config.siteUrl,
+            siteTitle: config.siteTitle,
+            siteDescription: config.siteDescription,
+            features: config.features,
+            defaultLanguage: config.defaultLanguage,
+            extraFiles: [...pluginFiles]
+        });
+        return failedPages === 0 ? indexData : undefined;
     }
-    
-    return {
-        id: `post-${slug}`,
-        title,
-        excerpt: excerpt || 'No excerpt available.',
-        date,
-        category,
-        tags,
-        author,
-        readTime: `${readTime} min read`,
-        slug,
-        wordCount,
-        lastModified: new Date().toISOString()
-    };
-}
 
-/**
- * Scan posts directory and generate index
- */
-async function generatePostsIndex() {
-    try {
-        console.log('🔍 Scanning posts directory...');
+    /**
+     * Build the site and check every internal link and #fragment in the output dir.
+     * Returns the number of broken links (-1 when the build failed).
+     */
+    async function checkSiteLinks(options = {}) {
+        const indexData = await build(options);
+        if (!indexData) return -1;
         
-        // Check if posts directory exists
-        if (!fs.existsSync(POSTS_DIR)) {
-            console.error('❌ Posts directory not found:', POSTS_DIR);
+        console.log('\n🔗 Checking links...\n');
+        const results = checkLinks(config.outputPath, {
+            siteUrl: config.siteUrl,
+            postsDir: config.postsDir,
+            publishedSlugs: indexData.posts.map(post => post.slug)
+        });
+        
+        return printReport(results, 'pages');
+    }
+
+    /**
+     * Scaffold a new post from the `new` command's arguments, then refresh the
+     * index so it shows up right away (unless it is a draft)
+     */
+    async function createPost(args, options = {}) {
+        let filePath;
+        try {
+            filePath = await scaffoldPost(parseNewArgs(args), config);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
             return;
         }
         
-        // Read all HTML files in posts directory
-        const files = fs.readdirSync(POSTS_DIR)
-            .filter(file => file.endsWith('.html'))
-            .sort();
+        console.log(`\n✍️  Created ${path.relative(ROOT_DIR, filePath)}\n`);
+        await generatePostsIndex(options);
+    }
+
+    /**
+     * Regenerate the index as of today and report the scheduled posts that went
+     * live since the last run. Meant for a daily cron or CI job, so posts can be
+     * queued up ahead of time.
+     */
+    async function publishDuePosts(options = {}) {
+        let previous = [];
+        if (fs.existsSync(indexFile)) {
+            try {
+                previous = JSON.parse(fs.readFileSync(indexFile, 'utf8')).posts.map(post => post.slug);
+            } catch (error) {
+                console.error('⚠️  Existing index is not valid JSON:', error.message);
+            }
+        }
+        
+        const indexData = await generatePostsIndex({ ...options, drafts: false, future: false });
+        if (!indexData) return;
         
-        if (files.length === 0) {
-            console.log('⚠️  No HTML files found in posts directory');
+        const published = indexData.posts.filter(post => !previous.includes(post.slug));
+        if (published.length === 0) {
+            console.log('\n📭 No posts were due');
             return;
         }
         
-        console.log(`📄 Found ${files.length} post files:`, files.map(f => `  - ${f}`).join('\n'));
+        console.log(`\n🚀 Published ${published.length} due post${published.length === 1 ? '' : 's'}:`);
+        published.forEach(post => console.log(`   - ${post.slug} (${post.date})`));
+    }
+
+    /**
+     * Watch for changes in posts directory (optional).
+     * Bursts of fs events (one editor save often fires several) are coalesced
+     * into a single rebuild; changes arriving mid-rebuild queue one more.
+     * `onRebuild` is called after every regeneration (used by `serve`).
+     * Returns { close() } to stop watching, or nothing without a posts directory.
+     */
+    function watchPostsDirectory(options = {}, onRebuild = () => {}) {
+        if (!fs.existsSync(postsDir)) {
+            console.log('Posts directory does not exist, skipping watch mode');
+            return;
+        }
         
-        const posts = [];
-        const categories = new Set();
-        const tags = new Set();
+        console.log('👀 Watching posts directory for changes...');
         
-        // Process each HTML file
-        for (const file of files) {
+        const isPostFile = file => (file.endsWith('.html') || file.endsWith('.md')) && !PARTIALS.includes(file);
+        const known = new Set(fs.readdirSync(postsDir).filter(isPostFile));
+        const pending = new Set();
+        let timer = null;
+        let running = false;
+        
+        const flush = async () => {
+            timer = null;
+            if (running) return; // Rescheduled when the current rebuild finishes
+            
+            // Work out what happened from the files' current state; renames arrive
+            // as a pair of events for the old and the new name
+            const events = [...pending].sort().map(filename => {
+                const exists = fs.existsSync(path.join(postsDir, filename));
+                const kind = !exists ? 'unlink' : known.has(filename) ? 'change' : 'add';
+                if (exists) known.add(filename); else known.delete(filename);
+                return { kind, filename };
+            });
+            pending.clear();
+            
+            const symbols = { add: '+', change: '~', unlink: '-' };
+            console.log(`\n📝 Detected ${events.map(e => `${symbols[e.kind]} ${e.filename}`).join(', ')}, regenerating index...`);
+            
+            running = true;
             try {
-                const filePath = path.join(POSTS_DIR, file);
-                const htmlContent = fs.readFileSync(filePath, 'utf8');
-                
-                const metadata = extractMetadata(htmlContent, file);
-                posts.push(metadata);
-                
-                // Collect categories and tags
-                categories.add(metadata.category);
-                metadata.tags.forEach(tag => tags.add(tag));
-                
-                console.log(`✅ Processed: ${metadata.title}`);
-            } catch (error) {
-                console.error(`❌ Error processing ${file}:`, error.message);
+                await generatePostsIndex(options);
+            } finally {
+                running = false;
             }
-        }
-        
-        // Sort posts by date (newest first)
-        posts.sort((a, b) => new Date(b.date) - new Date(a.date));
-        
-        // Create the index data structure
-        const indexData = {
-            generated: new Date().toISOString(),
-            totalPosts: posts.length,
-            posts: posts,
-            categories: Array.from(categories).sort().map(cat => ({
-                name: cat,
-                count: posts.filter(p => p.category === cat).length,
-                description: `Posts about ${cat}`
-            })),
-            tags: Array.from(tags).sort().map(tag => ({
-                name: tag,
-                count: posts.filter(p => p.tags.includes(tag)).length
-            })),
-            stats: {
-                totalWords: posts.reduce((sum, post) => sum + (post.wordCount || 0), 0),
-                averageReadTime: Math.round(posts.reduce((sum, post) => {
-                    const minutes = parseInt(post.readTime);
-                    return sum + minutes;
-                }, 0) / posts.length),
-                latestPost: posts[0]?.date,
-                oldestPost: posts[posts.length - 1]?.date
+            
+            if (pending.size > 0) {
+                schedule();
+            } else {
+                onRebuild();
             }
         };
         
-        // Write the index file
-        fs.writeFileSync(OUTPUT_FILE, JSON.stringify(indexData, null, 2), 'utf8');
+        const schedule = () => {
+            clearTimeout(timer);
+            timer = setTimeout(flush, WATCH_DEBOUNCE_MS);
+        };
         
-        console.log('\n🎉 Successfully generated posts index!');
-        console.log(`📊 Statistics:`);
-        console.log(`   - Total posts: ${indexData.totalPosts}`);
-        console.log(`   - Categories: ${indexData.categories.length}`);
-        console.log(`   - Tags: ${indexData.tags.length}`);
-        console.log(`   - Total words: ${indexData.stats.totalWords.toLocaleString()}`);
-        console.log(`   - Average read time: ${indexData.stats.averageReadTime} minutes`);
-        console.log(`📁 Index saved to: ${OUTPUT_FILE}`);
+        const watcher = fs.watch(postsDir, { recursive: false }, (eventType, filename) => {
+            if (filename && isPostFile(filename)) {
+                pending.add(filename);
+                schedule();
+            }
+        });
         
-    } catch (error) {
-        console.error('❌ Error generating posts index:', error);
+        return {
+            close() {
+                clearTimeout(timer);
+                watcher.close();
+            }
+        };
     }
-}
 
-/**
- * Watch for changes in posts directory (optional)
- */
-function watchPostsDirectory() {
-    if (!fs.existsSync(POSTS_DIR)) {
-        console.log('Posts directory does not exist, skipping watch mode');
-        return;
+    /**
+     * Serve the site root with live reload: the index is regenerated as posts
+     * change, and open pages reload (or swap stylesheets) as files change
+     */
+    async function serveSite(args, options = {}) {
+        let devServer;
+        try {
+            const { port, host } = parseServeArgs(args);
+            await generatePostsIndex(options);
+            devServer = await startDevServer({ rootDir: ROOT_DIR, port, host });
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+            return;
+        }
+        
+        watchPostsDirectory(options, () => devServer.reload());
+        watchSiteFiles(ROOT_DIR, postsDir, ({ files, reload, stylesheets }) => {
+            console.log(`\n🔄 ${files.join(', ')} changed, ${reload ? 'reloading pages' : 'updating styles'}`);
+            if (reload) {
+                devServer.reload();
+            } else {
+                stylesheets.forEach(file => devServer.cssChanged(file));
+            }
+        });
+        
+        console.log(`\n🌐 Serving the site at ${devServer.url} (Ctrl+C to stop)`);
     }
     
-    console.log('👀 Watching posts directory for changes...');
-    
-    fs.watch(POSTS_DIR, { recursive: false }, (eventType, filename) => {
-        if (filename && filename.endsWith('.html')) {
-            console.log(`📝 Detected change in ${filename}, regenerating index...`);
-            setTimeout(generatePostsIndex, 1000); // Debounce
-        }
-    });
+    return {
+        config,
+        plugins,
+        generatePostsIndex,
+        extractMetadata,
+        checkPosts,
+        build,
+        checkSiteLinks,
+        createPost,
+        publishDuePosts,
+        watchPostsDirectory,
+        serveSite
+    };
 }
 
 // Main execution
 if (require.main === module) {
     const args = process.argv.slice(2);
+    const options = {
+        cache: !args.includes('--no-cache'),
+        drafts: args.includes('--drafts'),
+        future: args.includes('--future')
+    };
+    
+    // The CLI is a client of the same API: settings from site.config.json and the flags
+    let indexer;
+    try {
+        indexer = createIndexer(parseConfigArgs(args));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
     
-    if (args.includes('--watch') || args.includes('-w')) {
-        generatePostsIndex().then(() => {
-            watchPostsDirectory();
+    if (args[0] === 'build') {
+        indexer.build(options).then(indexData => {
+            process.exitCode = indexData ? 0 : 1;
+        });
+    } else if (args[0] === 'serve') {
+        indexer.serveSite(args.slice(1), options);
+    } else if (args[0] === 'new') {
+        indexer.createPost(args.slice(1), options);
+    } else if (args[0] === 'check-links') {
+        indexer.checkSiteLinks(options).then(broken => {
+            process.exitCode = broken === 0 ? 0 : 1;
+        });
+    } else if (args.includes('--check')) {
+        const errors = indexer.checkPosts();
+        process.exitCode = errors > 0 ? 1 : 0;
+    } else if (args.includes('--publish-due')) {
+        indexer.publishDuePosts(options);
+    } else if (args.includes('--watch') || args.includes('-w')) {
+        indexer.generatePostsIndex(options).then(() => {
+            indexer.watchPostsDirectory(options);
         });
     } else {
-        generatePostsIndex();
+        indexer.generatePostsIndex(options);
     }
 }
 
+// The commands of an indexer with the default settings, created on first
+// use, for scripts written against the original exports
+let defaultIndexer = null;
+const withDefaultIndexer = command => (...args) => {
+    defaultIndexer = defaultIndexer || createIndexer();
+    return defaultIndexer[command](...args);
+};
+
 module.exports = {
-    generatePostsIndex,
-    extractMetadata
+    createIndexer,
+    generatePostsIndex: withDefaultIndexer('generatePostsIndex'),
+    extractMetadata: withDefaultIndexer('extractMetadata'),
+    checkPosts: withDefaultIndexer('checkPosts'),
+    build: withDefaultIndexer('build'),
+    checkSiteLinks: withDefaultIndexer('checkSiteLinks'),
+    createPost: withDefaultIndexer('createPost'),
+    publishDuePosts: withDefaultIndexer('publishDuePosts'),
+    serveSite: withDefaultIndexer('serveSite')
 };
\ No newline at end of file
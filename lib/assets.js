@@ -0,0 +1,290 @@
+/**
+ * Asset fingerprinting for the static build
+ *
+ * Minifies the site's stylesheets and scripts in the output directory,
+ * renames them after a hash of their content (styles.css ->
+ * styles.1a2b3c4d.css) and points every <link>/<script> in the built pages
+ * at the new names, so browsers can cache them for good and still pick up
+ * every change. asset-manifest.json maps the original names to the
+ * fingerprinted files for a service worker or CDN.
+ *
+ * The minifiers are deliberately conservative: comments, indentation and
+ * the spaces tokens don't need go, but JavaScript keeps its line breaks so
+ * automatic semicolon insertion reads it the same way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { hashContent } = require('./cache');
+const { listPages } = require('./utils');
+
+const MANIFEST_FILE = 'asset-manifest.json';
+const HASH_LENGTH = 8;
+
+// A "/" after one of these (or at the start) begins a regex literal, not a division
+const REGEX_AFTER = '(,=:[!&|?{};+-*%<>~^';
+const REGEX_AFTER_WORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+    'case', 'do', 'else', 'yield', 'await'];
+
+/**
+ * Strip comments and collapse whitespace in a stylesheet, leaving strings alone
+ */
+function minifyCss(source) {
+    return source
+        .split(/("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\/\*[\s\S]*?\*\/)/)
+        .map((part, index) => {
+            if (index % 2 === 1) return part.startsWith('/*') ? '' : part;
+            return part
+                .replace(/\s+/g, ' ')
+                .replace(/\s*([{};,>])\s*/g, '$1')
+                .replace(/:\s+/g, ':') // Pseudo-classes never have a space after the colon
+                .replace(/;}/g, '}');
+        })
+        .join('')
+        .trim();
+}
+
+/**
+ * Whether `a` followed by `b` would read as one token without a space
+ * between them: two words, "+ +" / "- -" (not "++" / "--"), "/ /" (not a
+ * comment), "<!" (an HTML comment opener) or a number before a dot
+ */
+function needsSpace(a, b) {
+    const word = /[\w$\u0080-\uffff]/;
+    return (word.test(a) && word.test(b)) ||
+        ((a === '+' || a === '-' || a === '/') && b === a) ||
+        (a === '<' && b === '!') ||
+        (/\d/.test(a) && b === '.');
+}
+
+/**
+ * Strip comments, indentation and blank lines from a script, and the spaces
+ * between tokens that don't need them. Strings, template literals and regex
+ * literals are copied as they are.
+ */
+function minifyJs(source) {
+    const out = [];
+    const templateDepths = []; // Brace depth inside each open `${`
+    let atLineStart = true;
+    let pendingSpace = false;
+    let lastChar = '';
+    let lastWord = ''; // The identifier or keyword just copied, '' after anything else
+    let i = 0;
+
+    const emit = (text, word = '') => {
+        if (pendingSpace && !atLineStart && needsSpace(lastChar, text[0])) out.push(' ');
+        pendingSpace = false;
+        atLineStart = false;
+        out.push(text);
+        lastChar = text[text.length - 1];
+        lastWord = word;
+    };
+
+    // Copy a template literal from i (just after "`" or "}") up to its end or next "${"
+    const copyTemplate = start => {
+        while (i < source.length) {
+            if (source[i] === '\\') {
+                i += 2;
+            } else if (source[i] === '`') {
+                i++;
+                emit(source.slice(start, i));
+                return;
+            } else if (source[i] === '$' && source[i + 1] === '{') {
+                i += 2;
+                emit(source.slice(start, i));
+                templateDepths.push(1);
+                return;
+            } else {
+                i++;
+            }
+        }
+        emit(source.slice(start));
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+        const next = source[i + 1];
+
+        if (char === '\n') {
+            if (!atLineStart) out.push('\n');
+            atLineStart = true;
+            pendingSpace = false;
+            lastWord = '';
+            i++;
+        } else if (/\s/.test(char)) {
+            pendingSpace = true;
+            i++;
+        } else if (char === '/' && next === '/') {
+            while (i < source.length && source[i] !== '\n') i++;
+        } else if (char === '/' && next === '*') {
+            const end = source.indexOf('*/', i + 2);
+            const comment = source.slice(i, end === -1 ? source.length : end + 2);
+            i += comment.length;
+            if (comment.includes('\n') && !atLineStart) {
+                out.push('\n');
+                atLineStart = true;
+                pendingSpace = false;
+                lastWord = '';
+            } else {
+                pendingSpace = true;
+            }
+        } else if (char === '"' || char === "'") {
+            const start = i++;
+            while (i < source.length && source[i] !== char && source[i] !== '\n') {
+                i += source[i] === '\\' ? 2 : 1;
+            }
+            i++;
+            emit(source.slice(start, i));
+        } else if (char === '`') {
+            i++;
+            copyTemplate(i - 1);
+        } else if (char === '/' && (lastChar === '' || REGEX_AFTER.includes(lastChar) || REGEX_AFTER_WORDS.includes(lastWord))) {
+            const start = i++;
+            let inClass = false;
+            while (i < source.length && source[i] !== '\n') {
+                if (source[i] === '\\') {
+                    i += 2;
+                    continue;
+                }
+                if (source[i] === '[') inClass = true;
+                else if (source[i] === ']') inClass = false;
+                else if (source[i] === '/' && !inClass) break;
+                i++;
+            }
+            i++;
+            while (/[a-z]/i.test(source[i] || '')) i++;
+            emit(source.slice(start, i));
+        } else if (templateDepths.length > 0 && (char === '{' || char === '}')) {
+            templateDepths[templateDepths.length - 1] += char === '{' ? 1 : -1;
+            i++;
+            if (templateDepths[templateDepths.length - 1] === 0) {
+                templateDepths.pop();
+                copyTemplate(i - 1);
+            } else {
+                emit(char);
+            }
+        } else if (/[\w$\u0080-\uffff]/.test(char)) {
+            const start = i;
+            while (i < source.length && /[\w$\u0080-\uffff]/.test(source[i])) i++;
+            const word = source.slice(start, i);
+            emit(word, word);
+        } else {
+            emit(char);
+            i++;
+        }
+    }
+
+    return out.join('').trim() + '\n';
+}
+
+/**
+ * Point the <link href> / <script src> references in a page at the
+ * fingerprinted files. Returns the updated HTML.
+ */
+function rewriteReferences(html, pagePath, manifest) {
+    return html.replace(/<(?:link|script)\b[^>]*>/gi, tag =>
+        tag.replace(/\b(href|src)="([^"]+)"/i, (attribute, name, url) => {
+            if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url)) return attribute;
+
+            const [file] = url.split(/[?#]/);
+            const target = file.startsWith('/')
+                ? file.slice(1)
+                : path.posix.normalize(path.posix.join(path.posix.dirname(pagePath), file));
+            const entry = manifest[target];
+            if (!entry) return attribute;
+
+            return `${name}="${url.replace(/[^/?#]+(?=([?#].*)?$)/, path.posix.basename(entry.file))}"`;
+        })
+    );
+}
+
+/**
+ * "12.3 KB"
+ */
+function formatSize(bytes) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * The stylesheets and scripts to fingerprint, the posts' own in `postsDir`
+ */
+function assetFiles(postsDir) {
+    return ['styles.css', `${postsDir}/style.css`, 'site-config.js', 'search.js', 'script.js', `${postsDir}/script.js`];
+}
+
+/**
+ * Minify and fingerprint the assets in `outputDir`, rewrite the pages and
+ * write the manifest. Prints a size report and returns the manifest.
+ */
+function fingerprintAssets(outputDir, postsDir = 'posts') {
+    const assets = {};
+
+    assetFiles(postsDir).forEach(asset => {
+        const file = path.join(outputDir, asset);
+        if (!fs.existsSync(file)) return;
+
+        const source = fs.readFileSync(file, 'utf8');
+        const minified = asset.endsWith('.css') ? minifyCss(source) : minifyJs(source);
+        const hashed = asset.replace(/(\.\w+)$/, `.${hashContent(minified).slice(0, HASH_LENGTH)}$1`);
+
+        fs.writeFileSync(path.join(outputDir, hashed), minified, 'utf8');
+        fs.unlinkSync(file);
+
+        assets[asset] = {
+            file: hashed,
+            bytes: Buffer.byteLength(minified),
+            originalBytes: Buffer.byteLength(source),
+            integrity: `sha384-${crypto.createHash('sha384').update(minified).digest('base64')}`
+        };
+    });
+
+    let rewritten = 0;
+    listPages(outputDir).forEach(pagePath => {
+        const pageFile = path.join(outputDir, pagePath);
+        const html = fs.readFileSync(pageFile, 'utf8');
+        const updated = rewriteReferences(html, pagePath, assets);
+        if (updated !== html) {
+            fs.writeFileSync(pageFile, updated, 'utf8');
+            rewritten++;
+        }
+    });
+
+    const manifest = { generated: new Date().toISOString(), assets };
+    fs.writeFileSync(path.join(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+
+    const rows = Object.entries(assets);
+    const width = Math.max(5, ...rows.map(([asset]) => asset.length));
+    const line = (label, before, after, file = '') => {
+        const saved = before > 0 ? Math.round((1 - after / before) * 100) : 0;
+        return `   ${label.padEnd(width)}  ${formatSize(before).padStart(9)} → ${formatSize(after).padStart(9)}  (-${saved}%)  ${file}`.trimEnd();
+    };
+    const total = key => rows.reduce((sum, [, entry]) => sum + entry[key], 0);
+
+    console.log(`📦 Assets minified and fingerprinted (${rewritten} pages updated):`);
+    rows.forEach(([asset, entry]) => console.log(line(asset, entry.originalBytes, entry.bytes, entry.file)));
+    console.log(line('Total', total('originalBytes'), total('bytes')));
+    console.log(`🧾 Manifest written: ${MANIFEST_FILE}`);
+
+    return manifest;
+}
+
+/**
+ * The fingerprinted file for each original asset name in a built site
+ * ({} when the build didn't fingerprint)
+ */
+function readAssetManifest(outputDir) {
+    const file = path.join(outputDir, MANIFEST_FILE);
+    if (!fs.existsSync(file)) return {};
+
+    const { assets = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Object.fromEntries(Object.entries(assets).map(([asset, entry]) => [asset, entry.file]));
+}
+
+module.exports = {
+    fingerprintAssets,
+    readAssetManifest,
+    minifyCss,
+    minifyJs,
+    MANIFEST_FILE
+};
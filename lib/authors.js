@@ -0,0 +1,98 @@
+/**
+ * Author registry for the SilentCoderHub blog
+ *
+ * authors.json at the site root lists everyone who writes for the blog
+ * (name, bio, avatar and profile links). A post's author meta tag (or
+ * `author` front matter) names one or more of them, comma separated for
+ * co-authored posts; the indexer resolves those names against the registry
+ * and every author gets a page at author/<slug>/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, slugify } = require('./utils');
+
+const AUTHORS_FILE = path.join(__dirname, '..', 'authors.json');
+
+/**
+ * The names in an author meta value: "Ada Lovelace, Alan Turing" or a list
+ */
+function splitAuthors(value) {
+    const names = Array.isArray(value) ? value : String(value || '').split(',');
+    return names.map(name => String(name).trim()).filter(Boolean);
+}
+
+/**
+ * Site-relative URL of an author's page
+ */
+function authorPath(name) {
+    return `author/${slugify(name)}/`;
+}
+
+/**
+ * Load the registry. Returns a Map of lower-cased name -> entry; an empty
+ * map when authors.json is missing.
+ */
+function loadAuthors(file = AUTHORS_FILE) {
+    const registry = new Map();
+    if (!fs.existsSync(file)) return registry;
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    (data.authors || []).forEach(author => {
+        if (author && author.name) registry.set(author.name.toLowerCase(), author);
+    });
+    return registry;
+}
+
+/**
+ * Match author names against the registry, returning the registry's
+ * spelling of each name and the names it doesn't know
+ */
+function resolveAuthors(names, registry) {
+    const unknown = [];
+    const resolved = names.map(name => {
+        const entry = registry.get(name.toLowerCase());
+        if (!entry) unknown.push(name);
+        return entry ? entry.name : name;
+    });
+
+    return { names: [...new Set(resolved)], unknown };
+}
+
+/**
+ * Author names as links to their pages, for post cards and headers
+ */
+function renderAuthorLinks(names, prefix = '') {
+    return names
+        .map(name => `<a href="${prefix}${authorPath(name)}" class="post-author-link">${escapeHtml(name)}</a>`)
+        .join(', ');
+}
+
+/**
+ * Avatar, bio and profile links shown at the top of an author's page
+ */
+function renderAuthorProfile(author, prefix = '') {
+    const links = (author.links || []).map(link => `
+                    <a href="${escapeHtml(link.url)}" class="social-link" title="${escapeHtml(link.label)}" rel="noopener">` +
+        `<i class="${escapeHtml(link.icon || 'fas fa-link')}"></i></a>`).join('');
+
+    return `
+            <section class="author-profile">
+                ${author.avatar ? `<img src="${prefix}${escapeHtml(author.avatar)}" alt="${escapeHtml(author.name)}" class="author-avatar">` : ''}
+                <div class="author-details">
+                    ${author.bio ? `<p class="author-bio">${escapeHtml(author.bio)}</p>` : ''}
+                    ${links ? `<div class="social-links">${links}
+                    </div>` : ''}
+                </div>
+            </section>`;
+}
+
+module.exports = {
+    splitAuthors,
+    authorPath,
+    loadAuthors,
+    resolveAuthors,
+    renderAuthorLinks,
+    renderAuthorProfile,
+    AUTHORS_FILE
+};
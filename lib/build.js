@@ -0,0 +1,495 @@
+/**
+ * Static prerender build for the SilentCoderHub blog
+ *
+ * Writes a deployable dist/ folder where the header and footer partials
+ * are inlined into every page, relative links already match each page's
+ * depth and the post lists are prerendered from the posts index, so the
+ * site renders without JavaScript and without a layout flash.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { escapeHtml, formatDate, slugify, postPath } = require('./utils');
+const { assignHeadingIds } = require('./toc');
+const { seriesPosition } = require('./series');
+const { renderAuthorLinks } = require('./authors');
+const { applyPostSeo, applyHomeSeo } = require('./seo');
+const { highlightCodeBlocks } = require('./highlight');
+const { translationVersions, languageName } = require('./translations');
+const { fingerprintAssets } = require('./assets');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+
+// Top-level pages and the files copied to dist/ as they are
+const PAGES = ['index.html', 'about.html', 'archive.html', 'contact.html'];
+const STATIC_FILES = [
+    'styles.css', 'script.js', 'search.js',
+    'feed.xml', 'atom.xml', 'feed.json', 'sitemap.xml', 'robots.txt', 'search-index.json', 'site-config.js'
+];
+// Copied from the posts directory along with the post pages
+const POST_FILES = ['style.css', 'script.js', 'posts.json'];
+const STATIC_DIRS = ['assets', 'feeds', 'category', 'tag', 'archive', 'author', 'og'];
+
+// Partials living next to the posts that are not posts themselves
+const PARTIALS = ['header.html', 'footer.html'];
+
+// Defaults for the list sizes and posts directory; the indexer passes the values from site.config.json
+const PRERENDER = {
+    postsDir: 'posts',
+    postsPerPage: 5,
+    maxRecentPosts: 5,
+    maxPopularTags: 10
+};
+
+/**
+ * Prefix that takes a page at `pagePath` back to the site root
+ */
+function rootPrefix(pagePath) {
+    const depth = pagePath.split('/').length - 1;
+    return '../'.repeat(depth);
+}
+
+/**
+ * Whether an href points at another file of this site
+ */
+function isRelativeLink(href) {
+    return Boolean(href) && !/^([a-z][a-z0-9+.-]*:|\/\/|\/|#)/i.test(href);
+}
+
+/**
+ * Load a root partial and rewrite its links for a page at `pagePath`
+ */
+function renderPartial(name, pagePath) {
+    const prefix = rootPrefix(pagePath);
+    const html = fs.readFileSync(path.join(ROOT_DIR, name), 'utf8');
+
+    if (!prefix) return html;
+
+    return html.replace(/(href|src)="([^"]*)"/g, (attr, key, value) =>
+        isRelativeLink(value) ? `${key}="${prefix}${value}"` : attr
+    );
+}
+
+/**
+ * Inline header.html / footer.html into the #header / #footer placeholders
+ */
+function inlinePartials(doc, pagePath) {
+    const header = doc.getElementById('header');
+    if (header) {
+        header.innerHTML = renderPartial('header.html', pagePath);
+    }
+
+    const footer = doc.getElementById('footer');
+    if (footer) {
+        footer.innerHTML = renderPartial('footer.html', pagePath);
+
+        // Posts carry their own inline footer loader; the footer is already here
+        doc.querySelectorAll('script:not([src])').forEach(script => {
+            if (/fetch\(\s*["']footer\.html["']\s*\)/.test(script.textContent)) {
+                script.remove();
+            }
+        });
+    }
+}
+
+/**
+ * Post card markup, matching createPostElement() in script.js.
+ * `prefix` leads from the page back to the site root.
+ */
+function renderPostCard(post, prefix = '', postsDir = 'posts') {
+    return `
+        <article class="post-card fade-in">
+            <div class="post-header">
+                <div class="post-meta">
+                    <span class="post-date">${formatDate(post.date, 'short', post.lang)}</span>
+                    <span><i class="fas fa-clock"></i> ${escapeHtml(post.readTime)}</span>
+                    <span><i class="fas fa-user"></i> ${renderAuthorLinks(post.authors || [post.author], prefix)}</span>
+                    <a href="${prefix}category/${slugify(post.category)}/" class="post-category">${escapeHtml(post.category)}</a>
+                </div>
+                <h2 class="post-title">
+                    <a href="${prefix}${postPath(post.slug, postsDir)}"  rel="noopener">${escapeHtml(post.title)}</a>
+                </h2>
+                <p class="post-excerpt">${escapeHtml(post.excerpt)}</p>
+            </div>
+            <div class="post-footer">
+                <a href="${prefix}${postPath(post.slug, postsDir)}"  rel="noopener" class="read-more">
+                    Read More <i class="fas fa-arrow-right"></i>
+                </a>
+                <div class="post-tags">
+                    ${post.tags.map(tag => `<a href="${prefix}tag/${slugify(tag)}/" class="tag">${escapeHtml(tag)}</a>`).join('')}
+                </div>
+            </div>
+        </article>`;
+}
+
+/**
+ * Archive entry markup, matching displayPosts() in archive.html
+ */
+function renderArchivePost(post, postsDir) {
+    return `
+        <article class="archive-post">
+            <div class="archive-post-header">
+                <div class="archive-post-content">
+                    <h2 class="archive-post-title">
+                        <a href="${postPath(post.slug, postsDir)}">${escapeHtml(post.title)}</a>
+                    </h2>
+                </div>
+                <div class="archive-post-meta">
+                    <div class="archive-post-date">${formatDate(post.date, 'short', post.lang)}</div>
+                    <div class="archive-post-category">${escapeHtml(post.category)}</div>
+                </div>
+            </div>
+            <p class="archive-post-excerpt">${escapeHtml(post.excerpt)}</p>
+            <div class="archive-post-tags">
+                ${post.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
+            </div>
+            <div class="archive-post-footer">
+                <div class="read-time">
+                    <i class="fas fa-clock"></i>
+                    ${escapeHtml(post.readTime)}
+                </div>
+                <a href="${postPath(post.slug, postsDir)}" class="read-more-link">
+                    Read More <i class="fas fa-arrow-right"></i>
+                </a>
+            </div>
+        </article>`;
+}
+
+/**
+ * "Related reading" block markup, matching renderRelatedPosts() in script.js
+ */
+function renderRelatedPosts(posts) {
+    return `
+        <section class="related-posts">
+            <h4>Related reading</h4>
+            <ul class="related-posts-list">
+                ${posts.map(post => `
+                <li>
+                    <a href="${post.slug}.html">${escapeHtml(post.title)}</a>
+                    <span class="related-meta">${escapeHtml(post.category)} · ${escapeHtml(post.readTime)}</span>
+                </li>`).join('')}
+            </ul>
+        </section>`;
+}
+
+/**
+ * Table of contents markup, matching renderTableOfContents() in script.js
+ */
+function renderTableOfContents(toc) {
+    return `
+            <nav class="post-toc" aria-label="Table of contents">
+                <button type="button" class="post-toc-toggle" aria-expanded="true">
+                    <i class="fas fa-list"></i> Contents <span class="post-toc-current"></span>
+                </button>
+                <ol class="post-toc-list">
+                    ${toc.map(entry => `
+                    <li class="toc-level-${entry.level}"><a href="#${escapeHtml(entry.id)}">${escapeHtml(entry.text)}</a></li>`).join('')}
+                </ol>
+            </nav>`;
+}
+
+/**
+ * Series banner markup, matching renderSeriesBanner() in script.js
+ */
+function renderSeriesBanner(position) {
+    return `
+            <nav class="series-banner" aria-label="Series navigation">
+                <div class="series-banner-title">
+                    <i class="fas fa-layer-group"></i> Part ${position.part} of ${position.total} in <strong>${escapeHtml(position.name)}</strong>
+                </div>
+                <div class="series-banner-links">
+                    ${position.prev ? `<a href="${position.prev.slug}.html" class="series-prev"><i class="fas fa-arrow-left"></i> ${escapeHtml(position.prev.title)}</a>` : '<span></span>'}
+                    ${position.next ? `<a href="${position.next.slug}.html" class="series-next">${escapeHtml(position.next.title)} <i class="fas fa-arrow-right"></i></a>` : ''}
+                </div>
+            </nav>`;
+}
+
+/**
+ * Language switcher markup for a translated post, matching
+ * renderLanguageSwitcher() in script.js
+ */
+function renderLanguageSwitcher(post) {
+    return `
+                <nav class="language-switcher" aria-label="Languages">
+                    <i class="fas fa-language"></i>
+                    ${translationVersions(post).map(version => {
+                        const lang = escapeHtml(version.lang);
+                        const name = escapeHtml(languageName(version.lang));
+                        return version.slug === post.slug
+                            ? `<span class="language-current" lang="${lang}">${name}</span>`
+                            : `<a href="${version.slug}.html" hreflang="${lang}" lang="${lang}">${name}</a>`;
+                    }).join('')}
+                </nav>`;
+}
+
+/**
+ * Series overview markup for the home page, matching updateSeries() in script.js
+ */
+function renderSeriesOverview(seriesList, posts, postsDir) {
+    return seriesList.map(series => `
+        <div class="series-overview-item">
+            <h4>${escapeHtml(series.name)}</h4>
+            <ol class="series-parts">
+                ${series.posts
+                    .map(slug => posts.find(post => post.slug === slug))
+                    .filter(Boolean)
+                    .map(post => `<li><a href="${postPath(post.slug, postsDir)}">${escapeHtml(post.title)}</a></li>`)
+                    .join('')}
+            </ol>
+        </div>`).join('');
+}
+
+/**
+ * Count posts per key, most used first
+ */
+function countBy(posts, keysOf) {
+    const counts = {};
+    posts.forEach(post => {
+        keysOf(post).forEach(key => {
+            counts[key] = (counts[key] || 0) + 1;
+        });
+    });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * The posts the home and archive lists are prerendered with: those in the
+ * site's default language once there are translations (readers pick
+ * another language in the page)
+ */
+function listedPosts(indexData, settings) {
+    const language = settings.defaultLanguage;
+    if (!language || (indexData.languages || []).length < 2) return indexData.posts;
+
+    const posts = indexData.posts.filter(post => (post.lang || language) === language);
+    return posts.length > 0 ? posts : indexData.posts;
+}
+
+/**
+ * Fill in an element's contents when the page has it
+ */
+function setHTML(doc, id, html) {
+    const el = doc.getElementById(id);
+    if (el) el.innerHTML = html;
+    return el;
+}
+
+/**
+ * Prerender the post list, sidebar and stats on index.html
+ */
+function prerenderHome(doc, posts, seriesList, settings) {
+    const container = setHTML(doc, 'posts-container', posts
+        .slice(0, settings.postsPerPage)
+        .map(post => renderPostCard(post, '', settings.postsDir))
+        .join(''));
+    if (container) {
+        container.setAttribute('data-prerendered', 'true');
+    }
+
+    if (posts.length <= settings.postsPerPage) {
+        const loadMore = doc.getElementById('loadMoreBtn');
+        if (loadMore) loadMore.style.display = 'none';
+    }
+    if (posts.length === 0) {
+        const noPosts = doc.getElementById('noPosts');
+        if (noPosts) noPosts.style.display = 'block';
+    }
+
+    setHTML(doc, 'recentPostsList', posts.slice(0, settings.maxRecentPosts).map(post => `
+        <li>
+            <a href="${postPath(post.slug, settings.postsDir)}"  rel="noopener">${escapeHtml(post.title)}</a>
+            <span class="recent-date">${formatDate(post.date, 'short', post.lang)}</span>
+        </li>`).join(''));
+
+    setHTML(doc, 'categoryList', countBy(posts, post => [post.category]).map(([category, count]) => `
+        <a href="category/${slugify(category)}/" class="category-item">
+            <span>${escapeHtml(category)}</span>
+            <span class="category-count">${count}</span>
+        </a>`).join(''));
+
+    setHTML(doc, 'tagsList', countBy(posts, post => post.tags)
+        .slice(0, settings.maxPopularTags)
+        .map(([tag]) => `
+        <a href="tag/${slugify(tag)}/" class="tag">${escapeHtml(tag)}</a>`).join(''));
+
+    if (seriesList.length > 0 && setHTML(doc, 'seriesList', renderSeriesOverview(seriesList, posts, settings.postsDir))) {
+        doc.getElementById('seriesWidget').style.display = '';
+    }
+
+    setHTML(doc, 'totalPosts', String(posts.length));
+
+    if (settings.siteUrl) {
+        applyHomeSeo(doc, posts.slice(0, settings.maxRecentPosts), settings);
+    }
+}
+
+/**
+ * Prerender the post list and stats on archive.html
+ */
+function prerenderArchive(doc, posts, settings) {
+    setHTML(doc, 'postsList', posts.map(post => renderArchivePost(post, settings.postsDir)).join(''));
+    setHTML(doc, 'totalPosts', String(posts.length));
+    setHTML(doc, 'totalCategories', String(new Set(posts.map(post => post.category)).size));
+    setHTML(doc, 'totalTags', String(new Set(posts.flatMap(post => post.tags)).size));
+}
+
+/**
+ * Give a post's headings their ids, highlight its code blocks, link the
+ * author line and add the language switcher, the series banner, the table
+ * of contents before the content and the "Related reading" block after the
+ * tags. With a siteUrl the SEO head block is regenerated from the post's
+ * index entry as well.
+ */
+function prerenderPost(doc, pagePath, indexData, settings) {
+    const posts = indexData.posts;
+    const slug = path.basename(pagePath, '.html');
+    const post = posts.find(entry => entry.slug === slug);
+    if (!post) return;
+
+    if (settings.siteUrl) {
+        applyPostSeo(doc, post, settings);
+    }
+    if (post.lang) {
+        doc.documentElement.setAttribute('lang', post.lang);
+    }
+
+    // Tells script.js there is nothing left to fetch and render
+    const container = doc.querySelector('.post-container');
+    if (container) container.setAttribute('data-prerendered', 'true');
+
+    const authorIcon = doc.querySelector('.post-meta-info .fa-user');
+    if (authorIcon && !authorIcon.parentElement.querySelector('a')) {
+        authorIcon.parentElement.innerHTML = `<i class="fas fa-user"></i> ${renderAuthorLinks(post.authors || [post.author], '../')}`;
+    }
+
+    const postHeader = doc.querySelector('.post-header-content');
+    if (postHeader && translationVersions(post).length > 0 && !doc.querySelector('.language-switcher')) {
+        postHeader.insertAdjacentHTML('beforeend', renderLanguageSwitcher(post));
+    }
+
+    const position = seriesPosition(slug, indexData);
+    if (position && postHeader) {
+        postHeader.insertAdjacentHTML('afterend', renderSeriesBanner(position));
+    }
+
+    const content = doc.querySelector('.post-content');
+    if (content) {
+        highlightCodeBlocks(content);
+        const toc = assignHeadingIds(content);
+        if (toc.length > 1 && !doc.querySelector('.post-toc')) {
+            content.insertAdjacentHTML('beforebegin', renderTableOfContents(toc));
+        }
+    }
+
+    const tagsSection = doc.querySelector('.post-tags-section');
+    if (!tagsSection) return;
+
+    // Hand-written posts still carry placeholder tag links
+    tagsSection.querySelectorAll('a.tag[href="#"]').forEach(link => {
+        link.setAttribute('href', `../tag/${slugify(link.textContent.trim())}/`);
+    });
+
+    if (doc.querySelector('.related-posts')) return;
+
+    const related = (post.related || [])
+        .map(relatedSlug => posts.find(entry => entry.slug === relatedSlug))
+        .filter(Boolean);
+    if (related.length > 0) {
+        tagsSection.insertAdjacentHTML('afterend', renderRelatedPosts(related));
+    }
+}
+
+/**
+ * Render one page from the source tree into the output directory
+ */
+function buildPage(pagePath, indexData, settings) {
+    const source = fs.readFileSync(path.join(ROOT_DIR, pagePath), 'utf8');
+    const dom = new JSDOM(source);
+    const doc = dom.window.document;
+
+    inlinePartials(doc, pagePath);
+
+    if (pagePath === 'index.html') {
+        prerenderHome(doc, listedPosts(indexData, settings), indexData.series || [], settings);
+    } else if (pagePath === 'archive.html') {
+        prerenderArchive(doc, listedPosts(indexData, settings), settings);
+    } else if (pagePath.startsWith(`${settings.postsDir}/`)) {
+        prerenderPost(doc, pagePath, indexData, settings);
+    }
+
+    const outputPath = path.join(settings.outputDir, pagePath);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, dom.serialize(), 'utf8');
+}
+
+/**
+ * Build the whole site from a generated posts index.
+ *
+ * Options: outputDir (dist/ by default), postsDir, the postsPerPage,
+ * maxRecentPosts and maxPopularTags list sizes, and siteUrl, siteTitle,
+ * siteDescription and features for the SEO head tags (skipped without a
+ * siteUrl), defaultLanguage for the prerendered lists, and extraFiles to
+ * copy along with the static files. The CSS and JS are minified and
+ * fingerprinted unless features.fingerprintAssets is off. Returns the
+ * number of pages that failed to build.
+ */
+function buildSite(indexData, options = {}) {
+    const settings = { ...PRERENDER, outputDir: DIST_DIR, ...options };
+    const outputDir = settings.outputDir;
+
+    console.log('\n🏗️  Building static site...');
+
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const postFiles = POST_FILES.map(file => `${settings.postsDir}/${file}`);
+    [...STATIC_FILES, ...postFiles, ...(settings.extraFiles || [])].forEach(file => {
+        const from = path.join(ROOT_DIR, file);
+        if (fs.existsSync(from)) {
+            fs.mkdirSync(path.dirname(path.join(outputDir, file)), { recursive: true });
+            fs.copyFileSync(from, path.join(outputDir, file));
+        }
+    });
+    STATIC_DIRS.forEach(dir => {
+        const from = path.join(ROOT_DIR, dir);
+        if (fs.existsSync(from)) {
+            fs.cpSync(from, path.join(outputDir, dir), { recursive: true });
+        }
+    });
+
+    // Only the published posts: drafts, scheduled posts and posts a plugin dropped stay out
+    const postPages = indexData.posts
+        .map(post => postPath(post.slug, settings.postsDir))
+        .sort();
+
+    let built = 0;
+    let failed = 0;
+    for (const pagePath of [...PAGES, ...postPages]) {
+        try {
+            buildPage(pagePath, indexData, settings);
+            built++;
+        } catch (error) {
+            console.error(`❌ Error building ${pagePath}:`, error.message);
+            failed++;
+        }
+    }
+
+    console.log(`✅ Built ${built} pages${failed > 0 ? `, ${failed} failed` : ''}`);
+
+    if (!settings.features || settings.features.fingerprintAssets !== false) {
+        fingerprintAssets(outputDir, settings.postsDir);
+    }
+    console.log(`📁 Site written to: ${outputDir}`);
+    return failed;
+}
+
+module.exports = {
+    buildSite,
+    renderPartial,
+    renderPostCard,
+    rootPrefix,
+    PARTIALS,
+    DIST_DIR
+};
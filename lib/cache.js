@@ -0,0 +1,60 @@
+/**
+ * On-disk parse cache for the indexer
+ *
+ * Maps each post file to the hash of its content and what parsePost()
+ * extracted from it, so a rebuild only runs JSDOM over posts that changed.
+ * The cache is thrown away whenever its signature (cache format version +
+ * the settings posts are parsed with) no longer matches.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump when the shape of extracted metadata changes
+const CACHE_VERSION = 9;
+
+/**
+ * Hash of a file's content
+ */
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Signature that invalidates the cache when the version or settings change
+ */
+function cacheSignature(config) {
+    return hashContent(JSON.stringify({ version: CACHE_VERSION, config }));
+}
+
+/**
+ * Load the cache, or an empty one when missing, unreadable or stale
+ */
+function loadCache(cacheFile, config) {
+    const signature = cacheSignature(config);
+    const empty = { signature, files: {} };
+
+    if (!fs.existsSync(cacheFile)) return empty;
+
+    try {
+        const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        return cache.signature === signature && cache.files ? cache : empty;
+    } catch (error) {
+        return empty;
+    }
+}
+
+/**
+ * Persist the cache
+ */
+function saveCache(cacheFile, cache) {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify(cache), 'utf8');
+}
+
+module.exports = {
+    hashContent,
+    loadCache,
+    saveCache
+};
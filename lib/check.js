@@ -0,0 +1,184 @@
+/**
+ * Post metadata consistency checks (`--check`)
+ *
+ * Cross-validates what a post says about itself in its meta tags, the
+ * visible .post-meta-info line, the .post-tags-section tags, the og:/twitter:
+ * tags and the committed posts.json entry, and reports every disagreement.
+ */
+
+const { JSDOM } = require('jsdom');
+const { absoluteUrl, postPath } = require('./utils');
+
+/**
+ * Content of a <meta name=...> or <meta property=...> tag, or null
+ */
+function metaContent(doc, key) {
+    const el = doc.querySelector(`meta[name="${key}"], meta[property="${key}"]`);
+    return el ? el.getAttribute('content').trim() : null;
+}
+
+/**
+ * Text of the .post-meta-info item with the given Font Awesome icon, or null
+ */
+function visibleMeta(doc, icon) {
+    const el = doc.querySelector(`.post-meta-info .${icon}`);
+    return el ? el.parentElement.textContent.trim() : null;
+}
+
+/**
+ * Parse "September 24, 2025" (or any date) into YYYY-MM-DD
+ */
+function toIsoDate(text) {
+    const parsed = new Date(text);
+    if (isNaN(parsed)) return null;
+
+    const month = String(parsed.getMonth() + 1).padStart(2, '0');
+    const day = String(parsed.getDate()).padStart(2, '0');
+    return `${parsed.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Report any values in `values` that disagree with the first one
+ */
+function compareAll(issues, level, field, values) {
+    const present = Object.entries(values).filter(([, value]) => value !== null && value !== undefined);
+    if (present.length < 2) return;
+
+    const [firstLabel, firstValue] = present[0];
+    present.slice(1).forEach(([label, value]) => {
+        if (value !== firstValue) {
+            issues.push({ level, message: `${field}: ${firstLabel} "${firstValue}" ≠ ${label} "${value}"` });
+        }
+    });
+}
+
+/**
+ * Check one post. `metadata` is what the indexer computed for it and
+ * `indexed` the entry currently committed in posts.json (if any).
+ * Returns a list of { level: 'error' | 'warning', message } issues.
+ */
+function checkPost(htmlContent, metadata, indexed, options) {
+    const doc = new JSDOM(htmlContent).window.document;
+    const issues = [];
+    const error = message => issues.push({ level: 'error', message });
+
+    // Title
+    const heading = doc.querySelector('h1.post-title-main, h1');
+    const pageTitle = doc.querySelector('title');
+    compareAll(issues, 'error', 'title', {
+        '<h1>': heading ? heading.textContent.trim() : null,
+        '<title>': pageTitle ? pageTitle.textContent.replace(/\s+-\s+SilentCoderHub\s*$/, '').trim() : null,
+        'og:title': metaContent(doc, 'og:title'),
+        'twitter:title': metaContent(doc, 'twitter:title')
+    });
+
+    // Date
+    const visibleDate = visibleMeta(doc, 'fa-calendar');
+    compareAll(issues, 'error', 'date', {
+        'meta date': metaContent(doc, 'date'),
+        'article:published_time': (metaContent(doc, 'article:published_time') || '').split('T')[0] || null,
+        'visible date': visibleDate ? toIsoDate(visibleDate) : null,
+        'posts.json date': indexed ? indexed.date : null
+    });
+
+    // Author
+    const visibleAuthor = visibleMeta(doc, 'fa-user');
+    compareAll(issues, 'error', 'author', {
+        'meta author': metaContent(doc, 'author'),
+        'article:author': metaContent(doc, 'article:author'),
+        'visible author': visibleAuthor
+    });
+
+    // Category
+    const visibleCategory = doc.querySelector('.post-meta-info .post-category');
+    compareAll(issues, 'error', 'category', {
+        'meta category': metaContent(doc, 'category'),
+        'visible category': visibleCategory ? visibleCategory.textContent.trim() : null,
+        'posts.json category': indexed ? indexed.category : null
+    });
+
+    // Read time
+    const visibleReadTime = visibleMeta(doc, 'fa-clock');
+    compareAll(issues, 'error', 'readTime', {
+        computed: metadata.readTime,
+        'visible read time': visibleReadTime,
+        'posts.json readTime': indexed ? indexed.readTime : null
+    });
+
+    // Description (og:/twitter: copies are often shortened, so only warn)
+    compareAll(issues, 'warning', 'description', {
+        'meta description': metaContent(doc, 'description'),
+        'og:description': metaContent(doc, 'og:description'),
+        'twitter:description': metaContent(doc, 'twitter:description')
+    });
+
+    // Tags: meta keywords and the visible tag list should be the same set
+    const keywords = (metaContent(doc, 'keywords') || '')
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(tag => tag.length > 0);
+    const visibleTags = Array.from(doc.querySelectorAll('.post-tags-section .tag'))
+        .map(el => el.textContent.trim());
+    keywords.filter(tag => !visibleTags.includes(tag)).forEach(tag => {
+        error(`tags: "${tag}" is in meta keywords but not in .post-tags-section`);
+    });
+    visibleTags.filter(tag => !keywords.includes(tag)).forEach(tag => {
+        error(`tags: "${tag}" is in .post-tags-section but not in meta keywords`);
+    });
+
+    // Canonical URL
+    const expectedUrl = absoluteUrl(options.siteUrl, postPath(metadata.slug, options.postsDir));
+    const ogUrl = metaContent(doc, 'og:url');
+    if (ogUrl === null) {
+        error(`og:url is missing (expected "${expectedUrl}")`);
+    } else if (ogUrl !== expectedUrl) {
+        error(`og:url "${ogUrl}" should be "${expectedUrl}"`);
+    }
+
+    // Required tags
+    ['description', 'keywords', 'date', 'category', 'og:title', 'og:description', 'twitter:card'].forEach(key => {
+        if (metaContent(doc, key) === null) {
+            error(`meta ${key} is missing`);
+        }
+    });
+
+    if (indexed && indexed.title !== undefined && heading && indexed.title !== heading.textContent.trim()) {
+        issues.push({ level: 'warning', message: `title: posts.json has "${indexed.title}"` });
+    }
+
+    return issues;
+}
+
+/**
+ * Print a per-file report. Returns the number of errors found.
+ */
+function printReport(results, noun = 'posts') {
+    let errors = 0;
+    let warnings = 0;
+
+    results.forEach(({ file, issues }) => {
+        if (issues.length === 0) {
+            console.log(`✅ ${file}`);
+            return;
+        }
+
+        console.log(`\n📄 ${file}`);
+        issues.forEach(issue => {
+            if (issue.level === 'error') {
+                errors++;
+                console.log(`   ❌ ${issue.message}`);
+            } else {
+                warnings++;
+                console.log(`   ⚠️  ${issue.message}`);
+            }
+        });
+    });
+
+    console.log(`\n🔎 Checked ${results.length} ${noun}: ${errors} errors, ${warnings} warnings`);
+    return errors;
+}
+
+module.exports = {
+    checkPost,
+    printReport
+};
@@ -0,0 +1,236 @@
+/**
+ * Site configuration for the indexer and the browser
+ *
+ * Settings live in site.config.json at the site root. Anything missing
+ * there falls back to DEFAULTS, and command-line flags override both.
+ * The part of the configuration the pages need is written to
+ * site-config.js, which every page loads before script.js, so the browser
+ * reads the same values as the indexer.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'site.config.json';
+const BROWSER_CONFIG_FILE = 'site-config.js';
+
+const DEFAULTS = {
+    siteTitle: 'SilentCoderHub Blog',
+    siteDescription: 'Your daily dose of technology, programming, and digital innovation',
+    siteUrl: 'https://sridharchinthaparthi.github.io/silentcoderhub', // Used for absolute links in feeds, sitemap and cards
+    author: 'SilentCoderHub',
+    wordsPerMinute: 200,
+    defaultCategory: 'General',
+    defaultTags: ['Blog'],
+    defaultLanguage: 'en', // For posts without <meta name="lang"> or <html lang>
+    postsDir: 'posts', // Post sources and posts.json, relative to the site root
+    outputDir: 'dist', // Where `build` writes the static site
+    postsPerPage: 5, // Home page and listing page size
+    maxRecentPosts: 5,
+    maxPopularTags: 10,
+    relatedPosts: 3, // Slugs kept per post for the "Related reading" block
+    sitemapExcludeDrafts: true, // Keep drafts and scheduled posts out of sitemap.xml even in --drafts/--future previews
+    features: {
+        feeds: true,
+        sitemap: true,
+        search: true,
+        relatedPosts: true,
+        socialCards: true,
+        fingerprintAssets: true // Minify and content-hash the CSS/JS in `build` output
+    },
+    plugins: [] // Plugin paths or package names, see lib/plugins.js
+};
+
+// Flags that take a value: --site-url https://example.com or --site-url=https://example.com
+const VALUE_FLAGS = {
+    '--site-title': ['siteTitle', 'string'],
+    '--site-url': ['siteUrl', 'string'],
+    '--author': ['author', 'string'],
+    '--posts-dir': ['postsDir', 'string'],
+    '--output-dir': ['outputDir', 'string'],
+    '--posts-per-page': ['postsPerPage', 'number'],
+    '--words-per-minute': ['wordsPerMinute', 'number']
+};
+
+// Every flag parseConfigArgs() reads a value for, so other parsers can skip them
+const CONFIG_VALUE_FLAGS = ['--config', ...Object.keys(VALUE_FLAGS)];
+
+const POSITIVE_INTEGERS = ['wordsPerMinute', 'postsPerPage', 'maxRecentPosts', 'maxPopularTags', 'relatedPosts'];
+
+/**
+ * "socialCards" -> "social-cards"
+ */
+function toFlagName(key) {
+    return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Read config overrides from command-line arguments. Feature toggles are
+ * --<feature> / --no-<feature> (e.g. --no-feeds, --no-social-cards);
+ * --config <file> points at another config file.
+ * Returns { configFile, overrides }.
+ */
+function parseConfigArgs(args) {
+    const overrides = {};
+    const features = {};
+    let configFile = null;
+
+    for (let i = 0; i < args.length; i++) {
+        const [flag, inlineValue] = args[i].split(/=(.*)/s);
+        const takeValue = () => {
+            const value = inlineValue !== undefined ? inlineValue : args[++i];
+            if (value === undefined) throw new Error(`${flag} needs a value`);
+            return value;
+        };
+
+        if (flag === '--config') {
+            configFile = takeValue();
+        } else if (VALUE_FLAGS[flag]) {
+            const [key, type] = VALUE_FLAGS[flag];
+            const value = takeValue();
+            overrides[key] = type === 'number' ? Number(value) : value;
+        } else {
+            Object.keys(DEFAULTS.features).forEach(feature => {
+                if (flag === `--${toFlagName(feature)}`) features[feature] = true;
+                if (flag === `--no-${toFlagName(feature)}`) features[feature] = false;
+            });
+        }
+    }
+
+    if (Object.keys(features).length > 0) overrides.features = features;
+    return { configFile, overrides };
+}
+
+/**
+ * Throw on values the indexer can't work with
+ */
+function validateConfig(config) {
+    POSITIVE_INTEGERS.forEach(key => {
+        if (!Number.isInteger(config[key]) || config[key] < 1) {
+            throw new Error(`${key} must be a positive whole number (got ${JSON.stringify(config[key])})`);
+        }
+    });
+    ['siteTitle', 'siteUrl', 'author', 'defaultCategory', 'defaultLanguage', 'postsDir', 'outputDir'].forEach(key => {
+        if (typeof config[key] !== 'string' || config[key].trim() === '') {
+            throw new Error(`${key} must be a non-empty string`);
+        }
+    });
+    // Feeds, the sitemap and SEO tags build absolute URLs from it
+    let siteUrl = null;
+    try {
+        siteUrl = new URL(config.siteUrl);
+    } catch (error) {
+        // Reported below
+    }
+    if (!siteUrl || !['http:', 'https:'].includes(siteUrl.protocol)) {
+        throw new Error(`siteUrl must be an absolute http(s) URL such as https://example.com (got ${JSON.stringify(config.siteUrl)})`);
+    }
+    if (!Array.isArray(config.defaultTags)) {
+        throw new Error('defaultTags must be a list');
+    }
+    if (!Array.isArray(config.plugins)) {
+        throw new Error('plugins must be a list');
+    }
+    Object.keys(config.features).forEach(feature => {
+        if (!(feature in DEFAULTS.features)) {
+            throw new Error(`unknown feature "${feature}" (known: ${Object.keys(DEFAULTS.features).join(', ')})`);
+        }
+    });
+}
+
+/**
+ * Load the site configuration: DEFAULTS, then the config file (when it
+ * exists), then `overrides`. postsDir and outputDir are resolved against
+ * `rootDir` into postsPath / outputPath, and postsDir is normalized to the
+ * folder name the pages link to ("./posts/" -> "posts").
+ */
+function loadConfig(rootDir, { configFile = null, overrides = {} } = {}) {
+    const file = path.resolve(rootDir, configFile || CONFIG_FILE);
+    let fromFile = {};
+
+    if (fs.existsSync(file)) {
+        try {
+            fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`${path.basename(file)} is not valid JSON: ${error.message}`);
+        }
+    } else if (configFile) {
+        throw new Error(`Config file not found: ${file}`);
+    }
+
+    const config = {
+        ...DEFAULTS,
+        ...fromFile,
+        ...overrides,
+        features: { ...DEFAULTS.features, ...fromFile.features, ...overrides.features }
+    };
+
+    try {
+        validateConfig(config);
+    } catch (error) {
+        throw new Error(`Invalid site config: ${error.message}`);
+    }
+
+    const postsPath = path.resolve(rootDir, config.postsDir);
+    const outputPath = path.resolve(rootDir, config.outputDir);
+
+    // Post pages reach the shared files with "../", so they sit one folder below the root
+    const postsDir = path.relative(rootDir, postsPath);
+    if (postsDir === '' || postsDir !== path.basename(postsDir)) {
+        throw new Error(`Invalid site config: postsDir "${config.postsDir}" must be a folder directly inside the site root`);
+    }
+
+    // `build` empties the output directory first
+    const contains = (dir, inner) => {
+        const relative = path.relative(dir, inner);
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+    };
+    if (contains(outputPath, path.resolve(rootDir)) || contains(outputPath, postsPath)) {
+        throw new Error(`Invalid site config: outputDir "${config.outputDir}" would overwrite the site sources`);
+    }
+
+    return { ...config, postsDir, postsPath, outputPath };
+}
+
+/**
+ * The settings the pages read as window.SITE_CONFIG
+ */
+function browserConfig(config) {
+    return {
+        siteTitle: config.siteTitle,
+        siteUrl: config.siteUrl,
+        author: config.author,
+        defaultLanguage: config.defaultLanguage,
+        postsDirectory: `./${config.postsDir.replace(/^\.?\/+|\/+$/g, '')}/`,
+        postsPerPage: config.postsPerPage,
+        wordsPerMinute: config.wordsPerMinute,
+        maxRecentPosts: config.maxRecentPosts,
+        maxPopularTags: config.maxPopularTags,
+        search: config.features.search
+    };
+}
+
+/**
+ * Write site-config.js into `outputDir` (only when it changed, so watch
+ * mode and git stay quiet). Returns true when the file was written.
+ */
+function writeBrowserConfig(config, outputDir) {
+    const file = path.join(outputDir, BROWSER_CONFIG_FILE);
+    const content = `// Generated by generate-posts-index.js from ${CONFIG_FILE}, do not edit.\n` +
+        `window.SITE_CONFIG = ${JSON.stringify(browserConfig(config), null, 4)};\n`;
+
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) return false;
+
+    fs.writeFileSync(file, content, 'utf8');
+    return true;
+}
+
+module.exports = {
+    loadConfig,
+    parseConfigArgs,
+    browserConfig,
+    writeBrowserConfig,
+    BROWSER_CONFIG_FILE,
+    CONFIG_VALUE_FLAGS,
+    DEFAULTS
+};
@@ -0,0 +1,216 @@
+/**
+ * Feed generation for the SilentCoderHub blog
+ *
+ * Writes feed.xml (RSS 2.0), atom.xml (Atom) and feed.json (JSON Feed 1.1)
+ * at the site root, plus the same three feeds per category under
+ * feeds/<category-slug>/. Items carry the excerpt and the full post content
+ * with links made absolute against the configured site URL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, slugify, absoluteUrl, postPath } = require('./utils');
+
+// Maximum number of items per feed
+const FEED_LIMIT = 20;
+
+const FEED_FILES = {
+    rss: 'feed.xml',
+    atom: 'atom.xml',
+    json: 'feed.json'
+};
+
+/**
+ * Post dates are plain YYYY-MM-DD; treat them as midnight UTC
+ */
+function toDate(date) {
+    return new Date(`${String(date).split('T')[0]}T00:00:00Z`);
+}
+
+/**
+ * A post's author names (several for co-authored posts)
+ */
+function postAuthors(post) {
+    return post.authors || [post.author];
+}
+
+/**
+ * Make every relative href/src inside post content absolute
+ */
+function absolutizeLinks(html, baseUrl) {
+    return html.replace(/(href|src)="([^"]*)"/g, (attr, key, value) => {
+        if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(value)) return attr;
+        try {
+            return `${key}="${new URL(value, baseUrl).href}"`;
+        } catch (error) {
+            return attr;
+        }
+    });
+}
+
+/**
+ * Wrap text in CDATA, splitting any "]]>" it contains
+ */
+function cdata(text) {
+    return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Feed items: index entries joined with their URL and full content
+ */
+function buildItems(posts, contents, options) {
+    return posts.slice(0, FEED_LIMIT).map(post => {
+        const url = absoluteUrl(options.siteUrl, postPath(post.slug, options.postsDir));
+        return {
+            post,
+            url,
+            content: absolutizeLinks(contents[post.slug] || '', url)
+        };
+    });
+}
+
+/**
+ * RSS 2.0 document
+ */
+function renderRss(feed, items) {
+    const entries = items.map(({ post, url, content }) => `
+    <item>
+      <title>${escapeHtml(post.title)}</title>
+      <link>${escapeHtml(url)}</link>
+      <guid isPermaLink="true">${escapeHtml(url)}</guid>
+      <pubDate>${toDate(post.date).toUTCString()}</pubDate>
+${postAuthors(post).map(author => `      <dc:creator>${escapeHtml(author)}</dc:creator>`).join('\n')}
+      <category>${escapeHtml(post.category)}</category>
+${post.tags.map(tag => `      <category>${escapeHtml(tag)}</category>`).join('\n')}
+      <description>${escapeHtml(post.excerpt)}</description>
+      <content:encoded>${cdata(content)}</content:encoded>
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeHtml(feed.title)}</title>
+    <link>${escapeHtml(feed.homeUrl)}</link>
+    <description>${escapeHtml(feed.description)}</description>
+    <language>${escapeHtml(feed.language)}</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeHtml(feed.urls.rss)}" rel="self" type="application/rss+xml"/>${entries}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Atom 1.0 document
+ */
+function renderAtom(feed, items) {
+    const entries = items.map(({ post, url, content }) => `
+  <entry xml:lang="${escapeHtml(post.lang || feed.language)}">
+    <title>${escapeHtml(post.title)}</title>
+    <link href="${escapeHtml(url)}"/>
+    <id>${escapeHtml(url)}</id>
+    <published>${toDate(post.date).toISOString()}</published>
+    <updated>${toDate(post.date).toISOString()}</updated>
+${postAuthors(post).map(author => `    <author><name>${escapeHtml(author)}</name></author>`).join('\n')}
+    <category term="${escapeHtml(post.category)}"/>
+${post.tags.map(tag => `    <category term="${escapeHtml(tag)}"/>`).join('\n')}
+    <summary>${escapeHtml(post.excerpt)}</summary>
+    <content type="html">${escapeHtml(content)}</content>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeHtml(feed.language)}">
+  <title>${escapeHtml(feed.title)}</title>
+  <subtitle>${escapeHtml(feed.description)}</subtitle>
+  <link href="${escapeHtml(feed.homeUrl)}"/>
+  <link href="${escapeHtml(feed.urls.atom)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeHtml(feed.homeUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>${entries}
+</feed>
+`;
+}
+
+/**
+ * JSON Feed 1.1 document
+ */
+function renderJsonFeed(feed, items) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.urls.json,
+        description: feed.description,
+        language: feed.language,
+        items: items.map(({ post, url, content }) => ({
+            id: url,
+            url,
+            title: post.title,
+            language: post.lang || feed.language,
+            summary: post.excerpt,
+            content_html: content,
+            date_published: toDate(post.date).toISOString(),
+            authors: postAuthors(post).map(name => ({ name })),
+            tags: [post.category, ...post.tags]
+        }))
+    }, null, 2);
+}
+
+/**
+ * Write the three feed formats for one set of posts into `dir`
+ */
+function writeFeedSet(dir, feed, items) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, FEED_FILES.rss), renderRss(feed, items), 'utf8');
+    fs.writeFileSync(path.join(dir, FEED_FILES.atom), renderAtom(feed, items), 'utf8');
+    fs.writeFileSync(path.join(dir, FEED_FILES.json), renderJsonFeed(feed, items), 'utf8');
+}
+
+/**
+ * Generate the site-wide and per-category feeds.
+ *
+ * `contents` maps post slugs to their .post-content HTML; `options` needs
+ * siteUrl, siteTitle, siteDescription, defaultLanguage (the feeds' language;
+ * Atom entries and JSON Feed items carry each post's own), postsDir and the
+ * outputDir to write into.
+ */
+function generateFeeds(indexData, contents, options) {
+    const feedFor = (posts, title, relativeDir) => {
+        const urls = {};
+        Object.entries(FEED_FILES).forEach(([format, file]) => {
+            urls[format] = absoluteUrl(options.siteUrl, path.posix.join(relativeDir, file));
+        });
+
+        return {
+            title,
+            description: options.siteDescription,
+            language: options.defaultLanguage || 'en',
+            homeUrl: absoluteUrl(options.siteUrl),
+            updated: posts.length > 0 ? toDate(posts[0].date) : new Date(),
+            urls
+        };
+    };
+
+    const posts = indexData.posts;
+    writeFeedSet(options.outputDir, feedFor(posts, options.siteTitle, ''), buildItems(posts, contents, options));
+
+    const feedsDir = path.join(options.outputDir, 'feeds');
+    fs.rmSync(feedsDir, { recursive: true, force: true });
+
+    let categoryCount = 0;
+    indexData.categories.forEach(category => {
+        const categoryPosts = posts.filter(post => post.category === category.name);
+        if (categoryPosts.length === 0) return;
+
+        categoryCount++;
+        const slug = slugify(category.name);
+        const feed = feedFor(categoryPosts, `${options.siteTitle} - ${category.name}`, `feeds/${slug}`);
+        writeFeedSet(path.join(feedsDir, slug), feed, buildItems(categoryPosts, contents, options));
+    });
+
+    console.log(`📡 Feeds written: RSS, Atom and JSON Feed (+${categoryCount} categories)`);
+}
+
+module.exports = {
+    generateFeeds,
+    FEED_FILES
+};
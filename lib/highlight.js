@@ -0,0 +1,291 @@
+/**
+ * Build-time syntax highlighting for code blocks
+ *
+ * The build turns every <pre><code class="language-*"> in a post into
+ * static markup: tokens are wrapped in <span class="hl-*"> (keyword,
+ * string, comment, number, literal, function, property, tag, attr,
+ * selector, variable, meta) which styles.css colours through --code-*
+ * custom properties, so no highlighter runs in the browser.
+ *
+ * Options are read from the <pre> element:
+ *   data-line-numbers              Show line numbers
+ *   data-highlight="2,4-6"         Highlight those lines
+ *   data-filename="server.js"      Caption above the block
+ *
+ * In Markdown they go on the fence: ```js {2,4-6} title="server.js" showLineNumbers
+ */
+
+const { escapeHtml } = require('./utils');
+
+/**
+ * Sticky regex matching any of the space separated words
+ */
+function words(list) {
+    return new RegExp(`\\b(?:${list.trim().split(/\s+/).join('|')})\\b`, 'y');
+}
+
+// Shared token patterns
+const C_COMMENT = /\/\/.*|\/\*[\s\S]*?\*\//y;
+const QUOTED = /'(?:\\.|[^\\'\n])*'|"(?:\\.|[^\\"\n])*"/y;
+const NUMBER = /\b(?:0[xob][\da-f_]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?n?)\b/iy;
+const CALL = /[A-Za-z_$][\w$]*(?=\s*\()/y;
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y; // Consumed unstyled so keywords only match whole words
+
+const JS_KEYWORDS = `async await break case catch class const continue debugger default delete do else
+    export extends finally for from function get if import in instanceof let new of return set static
+    super switch this throw try typeof var void while with yield`;
+
+const javascript = [
+    ['comment', C_COMMENT],
+    ['string', /`(?:\\[\s\S]|[^\\`])*`/y],
+    ['string', QUOTED],
+    ['number', NUMBER],
+    ['keyword', words(JS_KEYWORDS)],
+    ['literal', words('true false null undefined NaN Infinity')],
+    ['function', CALL],
+    [null, IDENTIFIER]
+];
+
+const typescript = javascript.map(([type, pattern]) => type === 'keyword'
+    ? [type, words(`${JS_KEYWORDS} abstract as declare enum implements interface keyof namespace private
+        protected public readonly type`)]
+    : [type, pattern]);
+
+const python = [
+    ['comment', /#.*/y],
+    ['string', /[rbfu]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?''')/iy],
+    ['string', /[rbfu]{0,2}(?:'(?:\\.|[^\\'\n])*'|"(?:\\.|[^\\"\n])*")/iy],
+    ['meta', /@[\w.]+/y],
+    ['number', NUMBER],
+    ['keyword', words(`and as assert async await break class continue def del elif else except finally for
+        from global if import in is lambda nonlocal not or pass raise return try while with yield`)],
+    ['literal', words('True False None')],
+    ['function', CALL],
+    [null, IDENTIFIER]
+];
+
+const bash = [
+    ['variable', /\$(?:\{[^}\n]*\}|\w+|[@#?$!*-])/y],
+    ['comment', /#.*/y],
+    ['string', /'[^']*'|"(?:\\.|[^\\"])*"/y],
+    ['keyword', words('if then else elif fi for while until do done case esac function in return export local select')],
+    ['number', /\b\d+\b/y],
+    [null, /[\w.-]+/y]
+];
+
+const json = [
+    ['property', /"(?:\\.|[^\\"\n])*"(?=\s*:)/y],
+    ['string', /"(?:\\.|[^\\"\n])*"/y],
+    ['number', /-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/iy],
+    ['literal', words('true false null')]
+];
+
+const css = [
+    ['comment', /\/\*[\s\S]*?\*\//y],
+    ['string', QUOTED],
+    ['keyword', /@[\w-]+|!important\b/y],
+    ['property', /--?[\w-]+(?=\s*:[^;{}]*[;}])|[a-z-]+(?=\s*:[^;{}]*[;}])/y],
+    ['number', /#[\da-f]{3,8}\b(?![\w-]*\s*[{,])|-?\d*\.?\d+(?:px|r?em|%|s|ms|vh|vw|deg|fr|ch)?\b/iy],
+    ['function', /[\w-]+(?=\()/y],
+    ['selector', /[.#][\w-]+|::?[\w-]+/y],
+    [null, /[\w-]+/y]
+];
+
+const TAG_INSIDE = [
+    ['tag', /<\/?[\w:-]+/y],
+    ['string', /"[^"]*"|'[^']*'/y],
+    ['attr', /[\w:.@-]+/y],
+    ['tag', /\/?>/y]
+];
+
+const markup = [
+    ['comment', /<!--[\s\S]*?-->/y],
+    ['meta', /<![^>]*>|<\?[\s\S]*?\?>/y],
+    ['tag', /<\/?[\w:-]+(?:\s+[^\s=>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>][^\s>]*))?)*\s*\/?>/y, TAG_INSIDE],
+    [null, /[^<]+/y]
+];
+
+const CLIKE_KEYWORDS = `auto break case catch char class const continue default delete do double else enum
+    extends extern final finally float for goto if implements import int interface long namespace new
+    package private protected public register return short signed sizeof static struct super switch
+    template this throw throws try typedef union unsigned using virtual void volatile while`;
+
+const clike = [
+    ['comment', C_COMMENT],
+    ['meta', /#\s*\w+.*/y],
+    ['string', QUOTED],
+    ['number', NUMBER],
+    ['keyword', words(CLIKE_KEYWORDS)],
+    ['literal', words('true false null nullptr NULL')],
+    ['function', CALL],
+    [null, IDENTIFIER]
+];
+
+const LANGUAGES = { javascript, typescript, python, bash, json, css, markup, clike };
+
+const ALIASES = {
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript', node: 'javascript',
+    ts: 'typescript', tsx: 'typescript',
+    py: 'python', python3: 'python',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+    html: 'markup', htm: 'markup', xml: 'markup', svg: 'markup',
+    c: 'clike', h: 'clike', cpp: 'clike', 'c++': 'clike', java: 'clike', cs: 'clike', csharp: 'clike'
+};
+
+/**
+ * Rules for a language name, or null when it isn't supported
+ */
+function languageRules(language) {
+    const name = String(language || '').toLowerCase();
+    return LANGUAGES[ALIASES[name] || name] || null;
+}
+
+/**
+ * Split `code` into [type, text] tokens; text no rule matches gets type null
+ */
+function tokenize(code, rules) {
+    const tokens = [];
+    let plain = '';
+    let position = 0;
+
+    const push = (type, text) => {
+        if (plain) {
+            tokens.push([null, plain]);
+            plain = '';
+        }
+        tokens.push([type, text]);
+    };
+
+    while (position < code.length) {
+        let matched = false;
+        for (const [type, pattern, inside] of rules) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(code);
+            if (!match || match[0].length === 0) continue;
+
+            if (inside) {
+                tokenize(match[0], inside).forEach(([innerType, text]) => push(innerType, text));
+            } else {
+                push(type, match[0]);
+            }
+            position += match[0].length;
+            matched = true;
+            break;
+        }
+        if (!matched) {
+            plain += code[position++];
+        }
+    }
+    if (plain) tokens.push([null, plain]);
+    return tokens;
+}
+
+/**
+ * Highlight `code` and return one HTML string per line, so tokens that span
+ * lines (block comments, template strings) are closed and reopened per line
+ */
+function highlightLines(code, language) {
+    const rules = languageRules(language);
+    const tokens = rules ? tokenize(code, rules) : [[null, code]];
+    const lines = [''];
+
+    tokens.forEach(([type, text]) => {
+        text.split('\n').forEach((part, index) => {
+            if (index > 0) lines.push('');
+            if (!part) return;
+            const escaped = escapeHtml(part);
+            lines[lines.length - 1] += type ? `<span class="hl-${type}">${escaped}</span>` : escaped;
+        });
+    });
+    return lines;
+}
+
+/**
+ * "1,3-5" -> Set { 1, 3, 4, 5 }, leaving out lines past `lineCount`
+ */
+function parseLineRanges(value, lineCount) {
+    const lines = new Set();
+    String(value || '').split(',').forEach(part => {
+        const [start, end] = part.trim().split('-').map(Number);
+        if (!Number.isInteger(start) || start < 1) return;
+        const last = Math.min(Number.isInteger(end) && end >= start ? end : start, lineCount);
+        for (let line = start; line <= last; line++) lines.add(line);
+    });
+    return lines;
+}
+
+/**
+ * Read a Markdown fence's info string: ```js {2,4-6} title="app.js" showLineNumbers
+ * Returns { language, highlight, filename, lineNumbers }.
+ */
+function parseCodeInfo(info) {
+    const text = String(info || '').trim();
+    const language = /^[^\s{]+/.test(text) ? text.match(/^[^\s{]+/)[0] : '';
+    const highlight = (text.match(/\{([\d,\s-]+)\}/) || [])[1] || '';
+    const filename = (text.match(/\b(?:title|filename)=(?:"([^"]*)"|'([^']*)'|(\S+))/) || []).slice(1).find(Boolean) || '';
+    const lineNumbers = /(?:^|\s)(?:showLineNumbers|line-numbers|linenos)(?=\s|$)/.test(text);
+
+    return { language, highlight: highlight.replace(/\s+/g, ''), filename, lineNumbers };
+}
+
+/**
+ * Markup for one code block, options as returned by parseCodeInfo()
+ */
+function renderCodeBlock(code, { language = '', highlight = '', filename = '', lineNumbers = false } = {}) {
+    const codeLines = highlightLines(code.replace(/\n$/, ''), language);
+    const highlighted = parseLineRanges(highlight, codeLines.length);
+    const lines = codeLines
+        .map((html, index) => `<span class="code-line${highlighted.has(index + 1) ? ' highlighted' : ''}">${html}</span>`)
+        .join('\n');
+
+    const languageClass = language ? ` language-${escapeHtml(language)}` : '';
+    const preClass = `highlight${languageClass}${lineNumbers ? ' line-numbers' : ''}`;
+    const caption = filename ? `<figcaption class="code-filename">${escapeHtml(filename)}</figcaption>` : '';
+
+    return `<figure class="code-block"${language ? ` data-language="${escapeHtml(language)}"` : ''}>` +
+        `${caption}<pre class="${preClass}"><code class="${languageClass.trim()}">${lines}</code></pre></figure>`;
+}
+
+/**
+ * Highlight every <pre><code class="language-*"> inside `root` in place.
+ * Returns the number of blocks highlighted.
+ */
+function highlightCodeBlocks(root) {
+    let count = 0;
+
+    root.querySelectorAll('pre > code[class*="language-"]').forEach(code => {
+        const pre = code.parentElement;
+        if (pre.closest('.code-block')) return; // Already highlighted
+
+        const language = (code.className.match(/(?:^|\s)language-(\S+)/) || [])[1] || '';
+        const lineNumbers = pre.getAttribute('data-line-numbers');
+
+        pre.outerHTML = renderCodeBlock(code.textContent, {
+            language,
+            highlight: pre.getAttribute('data-highlight') || '',
+            filename: pre.getAttribute('data-filename') || '',
+            lineNumbers: lineNumbers !== null && lineNumbers !== 'false'
+        });
+        count++;
+    });
+
+    return count;
+}
+
+/**
+ * <pre> attributes carrying a fence's options through to the build
+ */
+function codeBlockAttributes({ highlight, filename, lineNumbers }) {
+    return [
+        lineNumbers ? ' data-line-numbers' : '',
+        highlight ? ` data-highlight="${escapeHtml(highlight)}"` : '',
+        filename ? ` data-filename="${escapeHtml(filename)}"` : ''
+    ].join('');
+}
+
+module.exports = {
+    highlightCodeBlocks,
+    renderCodeBlock,
+    parseCodeInfo,
+    codeBlockAttributes
+};
@@ -0,0 +1,166 @@
+/**
+ * Internal link checker for the built site (`check-links`)
+ *
+ * Crawls every page in dist/ and verifies that each internal href/src points
+ * at a file that exists and that each #fragment matches an id on the target
+ * page. Post slugs referenced from data (posts.json and the sample posts in
+ * script.js) are checked too, since the client builds links from them.
+ * Published posts that no other page links to are reported as orphans.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { listPages, postPath } = require('./utils');
+const { readAssetManifest } = require('./assets');
+
+// Attributes holding links, per element
+const LINK_ATTRIBUTES = [
+    ['a', 'href'],
+    ['link', 'href'],
+    ['script', 'src'],
+    ['img', 'src'],
+    ['source', 'src'],
+    ['iframe', 'src']
+];
+
+/**
+ * Turn an href found on `pagePath` into { target, fragment } relative to the
+ * site root, or null when it leaves the site (other hosts, mailto:, ...)
+ */
+function resolveLink(href, pagePath, siteUrl) {
+    const pageUrl = new URL(pagePath, 'site://root/');
+    let url;
+
+    if (siteUrl && href.startsWith(siteUrl.replace(/\/?$/, '/'))) {
+        url = new URL(href.slice(siteUrl.replace(/\/?$/, '/').length), 'site://root/');
+    } else if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(href)) {
+        return null;
+    } else {
+        url = new URL(href, pageUrl);
+    }
+
+    let target = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+    if (target === '' || target.endsWith('/')) target += 'index.html';
+
+    return {
+        target,
+        fragment: url.hash ? decodeURIComponent(url.hash.slice(1)) : ''
+    };
+}
+
+/**
+ * Post slugs the client links to from data: posts.json entries and the
+ * hard-coded sample posts in the client scripts
+ */
+function collectDataLinks(siteDir, postsDir) {
+    const links = [];
+
+    const indexFile = path.join(siteDir, postsDir, 'posts.json');
+    if (fs.existsSync(indexFile)) {
+        JSON.parse(fs.readFileSync(indexFile, 'utf8')).posts.forEach(post => {
+            links.push({ source: `${postsDir}/posts.json`, slug: post.slug });
+        });
+    }
+
+    // Client scripts whose hard-coded post slugs are checked
+    const fingerprinted = readAssetManifest(siteDir);
+    ['script.js', `${postsDir}/script.js`].forEach(script => {
+        const scriptFile = path.join(siteDir, fingerprinted[script] || script);
+        if (!fs.existsSync(scriptFile)) return;
+
+        const source = fs.readFileSync(scriptFile, 'utf8');
+        for (const match of source.matchAll(/\bslug:\s*['"]([^'"]+)['"]/g)) {
+            links.push({ source: script, slug: match[1] });
+        }
+    });
+
+    return links;
+}
+
+/**
+ * Check the site built into `siteDir`.
+ *
+ * Options: siteUrl (absolute links under it count as internal), postsDir
+ * and publishedSlugs (the posts expected to be reachable, for the orphan report).
+ * Returns [{ file, issues }] in the shape printReport() expects.
+ */
+function checkLinks(siteDir, options = {}) {
+    const postsDir = options.postsDir || 'posts';
+    const pages = listPages(siteDir);
+    const ids = {};
+    const links = {};
+
+    pages.forEach(pagePath => {
+        const doc = new JSDOM(fs.readFileSync(path.join(siteDir, pagePath), 'utf8')).window.document;
+
+        ids[pagePath] = new Set(
+            Array.from(doc.querySelectorAll('[id], a[name]')).map(el => el.id || el.getAttribute('name'))
+        );
+
+        links[pagePath] = [];
+        LINK_ATTRIBUTES.forEach(([tag, attribute]) => {
+            doc.querySelectorAll(`${tag}[${attribute}]`).forEach(el => {
+                const href = el.getAttribute(attribute).trim();
+                // Bare "#" is the usual placeholder for links wired up in JS
+                if (href && href !== '#') links[pagePath].push(href);
+            });
+        });
+    });
+
+    const inbound = {};
+    const results = pages.map(pagePath => {
+        const issues = [];
+        const reported = new Set();
+
+        links[pagePath].forEach(href => {
+            if (reported.has(href)) return;
+
+            const link = resolveLink(href, pagePath, options.siteUrl);
+            if (!link) return;
+
+            const exists = fs.existsSync(path.join(siteDir, link.target));
+            let message = null;
+            if (!exists) {
+                message = `broken link: ${href} (${link.target} not found)`;
+            } else if (link.fragment && ids[link.target] && !ids[link.target].has(link.fragment)) {
+                message = `broken anchor: ${href} (no id="${link.fragment}" in ${link.target})`;
+            }
+
+            if (message) {
+                reported.add(href);
+                issues.push({ level: 'error', message });
+            } else if (link.target !== pagePath) {
+                (inbound[link.target] = inbound[link.target] || new Set()).add(pagePath);
+            }
+        });
+
+        return { file: pagePath, issues };
+    });
+
+    collectDataLinks(siteDir, postsDir).forEach(({ source, slug }) => {
+        const pagePath = postPath(slug, postsDir);
+        if (fs.existsSync(path.join(siteDir, pagePath))) return;
+
+        let result = results.find(entry => entry.file === source);
+        if (!result) {
+            result = { file: source, issues: [] };
+            results.push(result);
+        }
+        result.issues.push({ level: 'error', message: `links to missing post "${slug}" (${pagePath} not found)` });
+    });
+
+    (options.publishedSlugs || []).forEach(slug => {
+        const pagePath = postPath(slug, postsDir);
+        const result = results.find(entry => entry.file === pagePath);
+        if (result && !inbound[pagePath]) {
+            result.issues.push({ level: 'warning', message: 'orphaned: no other page links to this post' });
+        }
+    });
+
+    return results;
+}
+
+module.exports = {
+    checkLinks
+};
@@ -0,0 +1,189 @@
+/**
+ * Listing pages for the SilentCoderHub blog
+ *
+ * Writes a paginated page of post cards for every category, tag, year and
+ * author: category/<slug>/, tag/<slug>/, archive/<year>/ and author/<slug>/,
+ * with later pages under page/<n>/. The pages are complete static HTML (partials inlined, cards
+ * prerendered), so they work without JavaScript and can be crawled.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, slugify, absoluteUrl } = require('./utils');
+const { renderPartial, renderPostCard, rootPrefix } = require('./build');
+const { renderAuthorProfile } = require('./authors');
+
+const LAYOUT_FILE = path.join(__dirname, '..', 'layouts', 'listing.html');
+
+// Top-level directories the listing pages are written to
+const LISTING_DIRS = ['category', 'tag', 'archive', 'author'];
+
+/**
+ * Site-relative directory of page `page` (1-based) of a listing
+ */
+function pageDir(baseDir, page) {
+    return page === 1 ? `${baseDir}/` : `${baseDir}/page/${page}/`;
+}
+
+/**
+ * Previous / numbered / next links between the pages of one listing
+ */
+function renderPagination(baseDir, page, pageCount, prefix) {
+    if (pageCount < 2) return '';
+
+    const link = (target, label, className) =>
+        `<a href="${prefix}${pageDir(baseDir, target)}" class="${className}">${label}</a>`;
+
+    const numbers = [];
+    for (let n = 1; n <= pageCount; n++) {
+        numbers.push(n === page
+            ? `<span class="page-number current" aria-current="page">${n}</span>`
+            : link(n, n, 'page-number'));
+    }
+
+    return `            <nav class="pagination" aria-label="Pagination">
+                ${page > 1 ? link(page - 1, '<i class="fas fa-arrow-left"></i> Newer', 'page-prev') : ''}
+                ${numbers.join('\n                ')}
+                ${page < pageCount ? link(page + 1, 'Older <i class="fas fa-arrow-right"></i>', 'page-next') : ''}
+            </nav>`;
+}
+
+/**
+ * The listings to generate: every category, tag, year and author that has
+ * posts. `authors` is the registry from authors.json. Throws when two names
+ * share a slug ("C++" and "C#" are both category/c/), since one page would
+ * overwrite the other.
+ */
+function collectListings(indexData, authors) {
+    const posts = indexData.posts;
+    const listings = [];
+    const names = new Map();
+
+    const addListing = (name, listing) => {
+        const other = names.get(listing.dir);
+        if (other !== undefined && other !== name) {
+            throw new Error(`"${other}" and "${name}" would both be listed at ${listing.dir}/; rename one of them`);
+        }
+        names.set(listing.dir, name);
+        listings.push(listing);
+    };
+
+    const descriptions = {};
+    (indexData.categories || []).forEach(category => {
+        if (category && category.name) descriptions[category.name] = category.description;
+    });
+
+    const categories = [...new Set(posts.map(post => post.category))].sort();
+    categories.forEach(category => {
+        addListing(category, {
+            dir: `category/${slugify(category)}`,
+            title: category,
+            heading: category,
+            intro: descriptions[category] || `Posts about ${category}`,
+            posts: posts.filter(post => post.category === category)
+        });
+    });
+
+    const tags = [...new Set(posts.flatMap(post => post.tags))].sort();
+    tags.forEach(tag => {
+        addListing(tag, {
+            dir: `tag/${slugify(tag)}`,
+            title: `Posts tagged "${tag}"`,
+            heading: `Posts tagged “${tag}”`,
+            intro: `Everything we have written about ${tag}`,
+            posts: posts.filter(post => post.tags.includes(tag))
+        });
+    });
+
+    const years = [...new Set(posts.map(post => post.date.split('-')[0]))].sort().reverse();
+    years.forEach(year => {
+        addListing(year, {
+            dir: `archive/${year}`,
+            title: `Posts from ${year}`,
+            heading: `Posts from ${year}`,
+            intro: `Everything published in ${year}`,
+            posts: posts.filter(post => post.date.startsWith(`${year}-`))
+        });
+    });
+
+    const authorNames = [...new Set(posts.flatMap(post => post.authors || [post.author]))].sort();
+    authorNames.forEach(name => {
+        const author = authors.get(name.toLowerCase()) || { name };
+        addListing(name, {
+            dir: `author/${slugify(name)}`,
+            title: `Posts by ${name}`,
+            heading: name,
+            intro: `Posts by ${name}`,
+            author,
+            posts: posts.filter(post => (post.authors || [post.author]).includes(name))
+        });
+    });
+
+    return listings.filter(listing => listing.dir.split('/')[1] && listing.posts.length > 0);
+}
+
+/**
+ * Write the listing pages into `options.outputDir`.
+ *
+ * Options: siteUrl, siteTitle, outputDir, postsDir, postsPerPage and the authors
+ * registry (see lib/authors.js) for the author profiles. Returns the
+ * written pages as [{ path, lastModified }] (paths relative to the site
+ * root, for the sitemap).
+ */
+function generateListingPages(indexData, options) {
+    const layout = fs.readFileSync(LAYOUT_FILE, 'utf8');
+    const written = [];
+
+    LISTING_DIRS.forEach(dir => {
+        fs.rmSync(path.join(options.outputDir, dir), { recursive: true, force: true });
+    });
+
+    collectListings(indexData, options.authors || new Map()).forEach(listing => {
+        const pageCount = Math.ceil(listing.posts.length / options.postsPerPage);
+        const lastModified = listing.posts.map(post => post.lastModified).sort().pop();
+
+        for (let page = 1; page <= pageCount; page++) {
+            const dir = pageDir(listing.dir, page);
+            const pagePath = `${dir}index.html`;
+            const prefix = rootPrefix(pagePath);
+            const pagePosts = listing.posts.slice((page - 1) * options.postsPerPage, page * options.postsPerPage);
+
+            const pageLinks = [
+                page > 1 ? `<link rel="prev" href="${prefix}${pageDir(listing.dir, page - 1)}">` : '',
+                page < pageCount ? `<link rel="next" href="${prefix}${pageDir(listing.dir, page + 1)}">` : ''
+            ].filter(Boolean).join('\n    ');
+
+            const values = {
+                title: escapeHtml(`${listing.title}${page > 1 ? ` (page ${page})` : ''} - ${options.siteTitle}`),
+                description: escapeHtml(listing.intro),
+                canonical: escapeHtml(absoluteUrl(options.siteUrl, dir)),
+                pageLinks,
+                root: prefix,
+                header: renderPartial('header.html', pagePath),
+                footer: renderPartial('footer.html', pagePath),
+                heading: escapeHtml(listing.heading),
+                intro: escapeHtml(`${listing.intro} · ${listing.posts.length} post${listing.posts.length === 1 ? '' : 's'}`),
+                profile: listing.author ? renderAuthorProfile(listing.author, prefix) : '',
+                posts: pagePosts.map(post => renderPostCard(post, prefix, options.postsDir)).join(''),
+                pagination: renderPagination(listing.dir, page, pageCount, prefix)
+            };
+
+            const html = layout.replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+                Object.prototype.hasOwnProperty.call(values, key) ? values[key] : placeholder
+            );
+
+            const outputPath = path.join(options.outputDir, pagePath);
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            fs.writeFileSync(outputPath, html, 'utf8');
+            written.push({ path: dir, lastModified });
+        }
+    });
+
+    console.log(`🗂️  Listing pages written: ${written.length} pages`);
+    return written;
+}
+
+module.exports = {
+    generateListingPages,
+    LISTING_DIRS
+};
@@ -0,0 +1,207 @@
+/**
+ * Markdown post support for the SilentCoderHub indexer
+ *
+ * Reads posts/*.md files with YAML front matter and renders them through
+ * layouts/post.html, so they end up with the same markup as the
+ * hand-written HTML posts and can be indexed the same way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, formatDate, slugify, absoluteUrl, postPath } = require('./utils');
+const { addHeadingIds } = require('./toc');
+const { splitAuthors, renderAuthorLinks } = require('./authors');
+const { htmlStats, readMinutes, formatReadTime } = require('./stats');
+const { parseCodeInfo, codeBlockAttributes } = require('./highlight');
+
+const LAYOUT_FILE = path.join(__dirname, '..', 'layouts', 'post.html');
+const GENERATED_MARKER = 'by generate-posts-index.js - edit the Markdown file instead';
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Parse a single front matter value (quoted string, inline list or bare word)
+ */
+function parseScalar(raw) {
+    const value = raw.trim();
+
+    if (value.startsWith('[') && value.endsWith(']')) {
+        return value.slice(1, -1)
+            .split(',')
+            .map(item => parseScalar(item))
+            .filter(item => item.length > 0);
+    }
+
+    const quoted = value.match(/^(["'])(.*)\1$/);
+    if (quoted) {
+        return quoted[1] === "'" ? quoted[2].replace(/''/g, "'") : quoted[2].replace(/\\"/g, '"');
+    }
+
+    return value;
+}
+
+/**
+ * Split a Markdown source into its front matter data and body.
+ * Supports the subset of YAML posts need: `key: value`, inline
+ * `[a, b]` lists and indented `- item` lists.
+ */
+function parseFrontMatter(source) {
+    const match = source.match(FRONT_MATTER_PATTERN);
+    if (!match) {
+        return { data: {}, body: source };
+    }
+
+    const data = {};
+    let listKey = null;
+
+    match[1].split(/\r?\n/).forEach(line => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        const listItem = line.match(/^\s+-\s+(.*)$/);
+        if (listItem && listKey) {
+            data[listKey] = data[listKey] || [];
+            data[listKey].push(parseScalar(listItem[1]));
+            return;
+        }
+
+        const pair = line.match(/^([\w-]+):\s*(.*)$/);
+        if (!pair) return;
+
+        const [, key, raw] = pair;
+        if (raw.trim() === '') {
+            // A list when `- item` lines follow, otherwise left out like an absent key
+            delete data[key];
+            listKey = key;
+        } else {
+            data[key] = parseScalar(raw);
+            listKey = null;
+        }
+    });
+
+    return { data, body: source.slice(match[0].length) };
+}
+
+/**
+ * Normalise tags given either as a list or a comma separated string
+ */
+function normalizeTags(tags, fallback) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const cleaned = list.map(tag => String(tag).trim()).filter(tag => tag.length > 0);
+    return cleaned.length > 0 ? cleaned : [...fallback];
+}
+
+/**
+ * Render a Markdown post (front matter + body) into post HTML
+ */
+function renderMarkdownPost(source, filename, options) {
+    const { Marked } = require('marked');
+    const { data, body } = parseFrontMatter(source);
+    const slug = path.basename(filename, '.md');
+
+    // Fence options (```js {2-4} title="app.js" showLineNumbers) travel as
+    // <pre> attributes to the build, which does the highlighting
+    const marked = new Marked({
+        renderer: {
+            code({ text, lang }) {
+                const info = parseCodeInfo(lang);
+                const languageClass = info.language ? ` class="language-${escapeHtml(info.language)}"` : '';
+                return `<pre${codeBlockAttributes(info)}><code${languageClass}>${escapeHtml(text)}\n</code></pre>\n`;
+            }
+        }
+    });
+
+    const content = addHeadingIds(marked.parse(body));
+    // Same reading-time model as the indexer uses for the rendered page
+    const readTime = readMinutes(htmlStats(content, { siteUrl: options.siteUrl }), options.wordsPerMinute);
+
+    // Fall back to the first paragraph, like extractMetadata() does for HTML
+    let description = data.description;
+    if (!description) {
+        const firstP = content.match(/<p>([\s\S]*?)<\/p>/);
+        description = firstP ? firstP[1].replace(/<[^>]+>/g, '').trim() : '';
+        if (description.length > 200) {
+            description = description.substring(0, 200) + '...';
+        }
+    }
+
+    const title = data.title || slug;
+    // No date means not ready to publish; the indexer treats it as a draft
+    const date = data.date ? String(data.date).split('T')[0] : '';
+    const category = data.category || options.defaultCategory;
+    const tags = normalizeTags(data.tags, options.defaultTags);
+    const authors = splitAuthors(data.author || options.author);
+    const status = data.status === 'draft' || data.draft === 'true' || !date ? 'draft' : 'published';
+    const lang = data.lang || options.defaultLanguage || 'en';
+
+    const values = {
+        title: escapeHtml(title),
+        description: escapeHtml(description),
+        subtitle: escapeHtml(data.subtitle || description),
+        keywords: escapeHtml(tags.join(', ')),
+        author: escapeHtml(authors.join(', ')),
+        authorLinks: renderAuthorLinks(authors, '../'),
+        date: escapeHtml(date),
+        displayDate: date ? escapeHtml(formatDate(date, 'long', lang)) : 'Unscheduled',
+        category: escapeHtml(category),
+        status,
+        seriesMeta: data.series
+            ? `<meta name="series" content="${escapeHtml(data.series)}">` +
+                (data['series-part'] ? `\n    <meta name="series-part" content="${escapeHtml(data['series-part'])}">` : '')
+            : '',
+        lang: escapeHtml(lang),
+        translationMeta: data['translation-key']
+            ? `<meta name="translation-key" content="${escapeHtml(data['translation-key'])}">`
+            : '',
+        readTime: formatReadTime(readTime),
+        slug: escapeHtml(slug),
+        url: escapeHtml(absoluteUrl(options.siteUrl, postPath(slug, options.postsDir))),
+        source: escapeHtml(path.basename(filename)),
+        content: content.trim(),
+        tags: tags.map(tag => `                    <a href="../tag/${slugify(tag)}/" class="tag">${escapeHtml(tag)}</a>`).join('\n')
+    };
+
+    const layout = fs.readFileSync(LAYOUT_FILE, 'utf8');
+    return layout.replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+        Object.prototype.hasOwnProperty.call(values, key) ? values[key] : placeholder
+    );
+}
+
+/**
+ * Compile posts/<slug>.md to posts/<slug>.html.
+ * Returns true when the HTML file was (re)written; throws rather than
+ * overwrite a hand-written HTML post of the same name.
+ */
+function compileMarkdownPost(markdownPath, options) {
+    const source = fs.readFileSync(markdownPath, 'utf8');
+    const html = renderMarkdownPost(source, markdownPath, options);
+    const htmlPath = markdownPath.replace(/\.md$/, '.html');
+
+    if (fs.existsSync(htmlPath)) {
+        const existing = fs.readFileSync(htmlPath, 'utf8');
+        if (!existing.includes(GENERATED_MARKER)) {
+            throw new Error(`${path.basename(htmlPath)} is a hand-written post; rename one of the two files`);
+        }
+        // Only touch the file when it changes so watch mode doesn't loop on its own output
+        if (existing === html) return false;
+    }
+
+    fs.writeFileSync(htmlPath, html, 'utf8');
+    return true;
+}
+
+/**
+ * HTML files that were compiled from a Markdown source that no longer exists
+ */
+function findOrphanedOutput(postsDir) {
+    return fs.readdirSync(postsDir)
+        .filter(file => file.endsWith('.html'))
+        .filter(file => !fs.existsSync(path.join(postsDir, file.replace(/\.html$/, '.md'))))
+        .filter(file => fs.readFileSync(path.join(postsDir, file), 'utf8').includes(GENERATED_MARKER));
+}
+
+module.exports = {
+    parseFrontMatter,
+    renderMarkdownPost,
+    compileMarkdownPost,
+    findOrphanedOutput,
+    GENERATED_MARKER
+};
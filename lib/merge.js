@@ -0,0 +1,161 @@
+/**
+ * Merge a freshly generated posts index into the committed posts.json
+ *
+ * posts.json is partly hand-curated: category descriptions, the tag
+ * vocabulary and any extra keys someone added. The merge keeps all of that,
+ * refreshes what is derived from the post files, adds newly discovered
+ * categories and tags (flagging the tags, which are often typos), and orders
+ * everything deterministically so regenerating an unchanged blog produces an
+ * identical file.
+ */
+
+/**
+ * Order an object's keys: `knownKeys` first (in that order), then the rest sorted
+ */
+function orderKeys(object, knownKeys) {
+    const ordered = {};
+    knownKeys.forEach(key => {
+        if (Object.prototype.hasOwnProperty.call(object, key)) ordered[key] = object[key];
+    });
+    Object.keys(object)
+        .filter(key => !knownKeys.includes(key))
+        .sort()
+        .forEach(key => { ordered[key] = object[key]; });
+    return ordered;
+}
+
+/**
+ * Name of a tag/category entry, whether it is a string or { name }
+ */
+function entryName(entry) {
+    return typeof entry === 'string' ? entry : entry && entry.name;
+}
+
+/**
+ * Post fields the indexer derives from the post files. A generated post
+ * without one of them (say `related` once related posts are turned off) must
+ * not inherit the old value from posts.json.
+ */
+const GENERATED_POST_KEYS = [
+    'id', 'title', 'excerpt', 'date', 'category', 'tags', 'author', 'authors', 'readTime', 'slug',
+    'stats', 'status', 'series', 'seriesPart', 'lang', 'translationKey', 'translations', 'toc',
+    'lastModified', 'related'
+];
+
+/**
+ * Merge posts: generated fields win, hand-added keys from the existing entry stay
+ */
+function mergePosts(existingPosts, generatedPosts) {
+    const existingBySlug = {};
+    (existingPosts || []).forEach(post => { existingBySlug[post.slug] = post; });
+
+    return generatedPosts
+        .map(post => {
+            const curated = {};
+            Object.entries(existingBySlug[post.slug] || {})
+                .filter(([key]) => !GENERATED_POST_KEYS.includes(key))
+                .forEach(([key, value]) => { curated[key] = value; });
+            return orderKeys({ ...curated, ...post }, Object.keys(post));
+        })
+        .sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+}
+
+/**
+ * Merge categories: keep curated entries (and their order), refresh counts,
+ * append newly discovered categories alphabetically
+ */
+function mergeCategories(existingCategories, generatedCategories) {
+    const generatedByName = {};
+    generatedCategories.forEach(category => { generatedByName[category.name] = category; });
+
+    const merged = (existingCategories || []).map(existing => {
+        const name = entryName(existing);
+        const generated = generatedByName[name];
+        delete generatedByName[name];
+        return orderKeys({ ...existing, count: generated ? generated.count : 0 }, ['name', 'count', 'description']);
+    });
+
+    const added = Object.keys(generatedByName).sort();
+    added.forEach(name => {
+        merged.push(orderKeys(generatedByName[name], ['name', 'count', 'description']));
+    });
+
+    return { categories: merged, added };
+}
+
+/**
+ * Merge the tag vocabulary. Curated entries keep their shape (plain strings
+ * or { name, ... } objects); tags used in posts but missing from the
+ * vocabulary are appended in the same shape and reported, each with every
+ * post that uses it, so a typo can be traced to all of its posts.
+ */
+function mergeTags(existingTags, generatedTags, posts) {
+    const vocabulary = existingTags || [];
+    const useStrings = vocabulary.length > 0 && vocabulary.every(entry => typeof entry === 'string');
+    const counts = {};
+    generatedTags.forEach(tag => { counts[tag.name] = tag.count; });
+
+    const known = new Set(vocabulary.map(entryName));
+    const tags = vocabulary.map(entry => {
+        if (typeof entry === 'string') return entry;
+        return orderKeys({ ...entry, count: counts[entry.name] || 0 }, ['name', 'count']);
+    });
+
+    const added = generatedTags
+        .map(tag => tag.name)
+        .filter(name => !known.has(name))
+        .sort()
+        .map(name => ({
+            name,
+            posts: posts
+                .filter(post => (post.tags || []).includes(name))
+                .map(post => post.slug)
+                .sort()
+        }));
+    added.forEach(({ name }) => {
+        tags.push(useStrings ? name : { name, count: counts[name] });
+    });
+
+    return { tags, added };
+}
+
+/**
+ * Merge `generated` into `existing` (either may be null).
+ * Returns { index, report } where report lists new categories and the
+ * tags that were added to the vocabulary, each as { name, posts }.
+ */
+function mergeIndex(existing, generated) {
+    const base = existing || {};
+    const { categories, added } = mergeCategories(base.categories, generated.categories);
+    const { tags, added: addedTags } = existing
+        ? mergeTags(base.tags, generated.tags, generated.posts)
+        : { tags: generated.tags, added: [] };
+
+    const merged = orderKeys({
+        ...base,
+        ...generated,
+        posts: mergePosts(base.posts, generated.posts),
+        categories,
+        tags
+    }, ['generated', 'totalPosts', 'posts', 'categories', 'tags', 'series', 'languages', 'stats']);
+
+    // Only bump the timestamp when something actually changed
+    if (base.generated) {
+        const withoutStamp = index => JSON.stringify({ ...index, generated: undefined });
+        if (withoutStamp(merged) === withoutStamp(base)) {
+            merged.generated = base.generated;
+        }
+    }
+
+    return {
+        index: merged,
+        report: {
+            newCategories: existing ? added : [],
+            newTags: addedTags
+        }
+    };
+}
+
+module.exports = {
+    mergeIndex
+};
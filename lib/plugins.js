@@ -0,0 +1,113 @@
+/**
+ * Plugins for the indexer
+ *
+ * A plugin is an object with a name and any of these hooks, or a function
+ * returning one (called with the plugin's options and the site config):
+ *
+ *   onFile({ file, filePath, html })
+ *       Before a post file is parsed. Return a string to parse instead of
+ *       the file's HTML, or false to skip the file.
+ *   extractMetadata({ doc, file, metadata, content })
+ *       While a post is parsed; `doc` is its DOM and `content` its
+ *       .post-content element. Return extra fields for the post's metadata.
+ *       Runs synchronously.
+ *   transformPost(post, { content })
+ *       Once per published post, before the index is built. Return the post
+ *       to index (a changed copy is fine) or null to leave it out.
+ *   afterIndex(indexData, { contents })
+ *       After the index is put together, before posts.json is written;
+ *       may change it in place.
+ *   emit({ indexData, contents, config, writeFile })
+ *       After the built-in outputs are written. writeFile(path, content)
+ *       writes a file relative to the site root.
+ *
+ * Hooks other than extractMetadata may be async. site.config.json lists
+ * plugins by path (relative to the site root) or package name, with
+ * options as a second element: "plugins": ["./plugins/a.js", ["b", { ... }]].
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashContent } = require('./cache');
+
+const HOOKS = ['onFile', 'extractMetadata', 'transformPost', 'afterIndex', 'emit'];
+
+/**
+ * Resolve one plugins entry into a plugin object. Its `signature` hashes
+ * the plugin's options and code, so the parse cache notices when either
+ * changes.
+ */
+function loadPlugin(entry, rootDir, config) {
+    const [source, pluginOptions = {}] = Array.isArray(entry) ? entry : [entry];
+    let plugin = source;
+    let code;
+
+    if (typeof source === 'string') {
+        const request = /^\.{0,2}\//.test(source) ? path.resolve(rootDir, source) : source;
+        try {
+            plugin = require(request);
+            code = fs.readFileSync(require.resolve(request), 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot load plugin "${source}": ${error.message.split('\n')[0]}`);
+        }
+    }
+    if (typeof plugin === 'function') {
+        code = code || plugin.toString();
+        plugin = plugin(pluginOptions, config);
+    }
+
+    const label = (plugin && plugin.name) || (typeof source === 'string' ? source : 'unnamed plugin');
+    if (!plugin || typeof plugin !== 'object') {
+        throw new Error(`Plugin "${label}" must be an object with hooks or a function returning one`);
+    }
+    Object.keys(plugin).filter(key => key !== 'name').forEach(key => {
+        if (!HOOKS.includes(key)) {
+            throw new Error(`Plugin "${label}" has an unknown hook "${key}" (known: ${HOOKS.join(', ')})`);
+        }
+        if (typeof plugin[key] !== 'function') {
+            throw new Error(`Plugin "${label}": ${key} must be a function`);
+        }
+    });
+
+    // Plugin objects passed in directly: their hooks are their code
+    code = code || Object.values(plugin).map(String).join('\n');
+
+    return { ...plugin, name: label, signature: hashContent(JSON.stringify(pluginOptions) + code) };
+}
+
+/**
+ * Load the plugins listed in the config followed by `extra` ones passed
+ * to createIndexer()
+ */
+function loadPlugins(config, rootDir, extra = []) {
+    return [...(config.plugins || []), ...extra].map(entry => loadPlugin(entry, rootDir, config));
+}
+
+/**
+ * The plugins' implementations of `hook`, in order. Errors thrown (or
+ * rejected) by a hook are re-thrown with the plugin's name, which is also
+ * set as the error's `plugin`.
+ */
+function hooksFor(plugins, hook) {
+    return plugins.filter(plugin => plugin[hook]).map(plugin => {
+        const fail = error => {
+            const failure = new Error(`Plugin "${plugin.name}" failed in ${hook}: ${error.message}`);
+            failure.plugin = plugin.name;
+            throw failure;
+        };
+        return (...args) => {
+            try {
+                const result = plugin[hook](...args);
+                return result && typeof result.then === 'function' ? result.catch(fail) : result;
+            } catch (error) {
+                return fail(error);
+            }
+        };
+    });
+}
+
+module.exports = {
+    loadPlugins,
+    hooksFor,
+    HOOKS
+};
@@ -0,0 +1,63 @@
+/**
+ * Draft and scheduled-publish rules for the SilentCoderHub blog
+ *
+ * A post is live once it is not marked as a draft and its date has arrived.
+ * Drafts (including posts without a date) and future-dated posts stay out
+ * of the index, and so out of the feeds, sitemap, search and listing pages,
+ * unless a preview run asks for them with --drafts / --future.
+ */
+
+/**
+ * Today's date as YYYY-MM-DD in local time, the way post dates are written
+ */
+function localDate(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 'draft', 'scheduled' (dated after `today`) or 'published'
+ */
+function publishState(post, today) {
+    if (post.status === 'draft' || !post.date) return 'draft';
+    return post.date > today ? 'scheduled' : 'published';
+}
+
+/**
+ * Split posts into the ones that go into the index and the ones held back.
+ *
+ * Options: today (YYYY-MM-DD), drafts and future to include drafts and
+ * scheduled posts. Included posts carry their state in `status`; undated
+ * drafts borrow the day they were last edited so they can be sorted.
+ */
+function selectPosts(posts, options) {
+    const included = [];
+    const held = { draft: [], scheduled: [] };
+
+    posts.forEach(post => {
+        const state = publishState(post, options.today);
+        const include = state === 'published' ||
+            (state === 'draft' && options.drafts) ||
+            (state === 'scheduled' && options.future);
+
+        if (!include) {
+            held[state].push(post);
+            return;
+        }
+
+        included.push({
+            ...post,
+            date: post.date || post.lastModified.split('T')[0],
+            status: state
+        });
+    });
+
+    return { posts: included, held };
+}
+
+module.exports = {
+    localDate,
+    publishState,
+    selectPosts
+};
@@ -0,0 +1,104 @@
+/**
+ * Related posts for the SilentCoderHub blog
+ *
+ * Scores every pair of posts by the tags they share, whether they are in
+ * the same category and how similar their text is (cosine similarity of
+ * TF-IDF vectors built with the search analyzer), and keeps the best few
+ * slugs per post for the "Related reading" block.
+ */
+
+const { analyze } = require('../search');
+const { toPlainText } = require('./search');
+
+// How much each signal contributes to the relatedness score
+const RELATED_WEIGHTS = {
+    tags: 3,
+    category: 1,
+    text: 4
+};
+
+/**
+ * TF-IDF vector of each post's title, excerpt and content, normalised to unit length
+ */
+function textVectors(posts, contents) {
+    const termCounts = posts.map(post => {
+        const counts = new Map();
+        analyze(`${post.title} ${post.excerpt} ${toPlainText(contents[post.slug] || '')}`).forEach(term => {
+            counts.set(term, (counts.get(term) || 0) + 1);
+        });
+        return counts;
+    });
+
+    const documentFrequency = new Map();
+    termCounts.forEach(counts => {
+        counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    return termCounts.map(counts => {
+        const vector = new Map();
+        let length = 0;
+        counts.forEach((count, term) => {
+            const weight = (1 + Math.log(count)) * Math.log(posts.length / documentFrequency.get(term));
+            if (weight > 0) {
+                vector.set(term, weight);
+                length += weight * weight;
+            }
+        });
+        length = Math.sqrt(length) || 1;
+        vector.forEach((weight, term) => vector.set(term, weight / length));
+        return vector;
+    });
+}
+
+function cosine(a, b) {
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    let sum = 0;
+    small.forEach((weight, term) => {
+        if (large.has(term)) sum += weight * large.get(term);
+    });
+    return sum;
+}
+
+/**
+ * Share of tags two posts have in common (Jaccard index)
+ */
+function tagOverlap(a, b) {
+    const tagsA = new Set(a.tags.map(tag => tag.toLowerCase()));
+    const tagsB = new Set(b.tags.map(tag => tag.toLowerCase()));
+    const shared = [...tagsA].filter(tag => tagsB.has(tag)).length;
+    const total = new Set([...tagsA, ...tagsB]).size;
+    return total > 0 ? shared / total : 0;
+}
+
+/**
+ * Map each post's slug to the slugs of its `options.limit` most related
+ * posts, best first. Unpublished posts are never suggested. `contents`
+ * maps slugs to .post-content HTML.
+ */
+function findRelatedPosts(posts, contents, options) {
+    const vectors = textVectors(posts, contents);
+    const related = {};
+
+    posts.forEach((post, i) => {
+        related[post.slug] = posts
+            .map((candidate, j) => ({
+                candidate,
+                score: i === j || candidate.status !== 'published' ? 0 :
+                    RELATED_WEIGHTS.tags * tagOverlap(post, candidate) +
+                    RELATED_WEIGHTS.category * (post.category === candidate.category ? 1 : 0) +
+                    RELATED_WEIGHTS.text * cosine(vectors[i], vectors[j])
+            }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score ||
+                b.candidate.date.localeCompare(a.candidate.date) ||
+                a.candidate.slug.localeCompare(b.candidate.slug))
+            .slice(0, options.limit)
+            .map(({ candidate }) => candidate.slug);
+    });
+
+    return related;
+}
+
+module.exports = {
+    findRelatedPosts
+};
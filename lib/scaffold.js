@@ -0,0 +1,295 @@
+/**
+ * `new` command: scaffold a post
+ *
+ * Creates posts/<slug>.html (or posts/<slug>.md with --markdown) from
+ * layouts/post.html with the title, description, date, category, tags and
+ * author filled into every meta, og: and twitter: tag. Categories and tags
+ * are checked against the vocabulary in posts.json; in a terminal the
+ * writer is asked to pick existing ones so near-duplicates like "Hardwares"
+ * or "computer hardware" don't creep in.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { slugify } = require('./utils');
+const { localDate } = require('./publishing');
+const { renderMarkdownPost, GENERATED_MARKER } = require('./markdown');
+const { CONFIG_VALUE_FLAGS } = require('./config');
+
+// Flags of the `new` command that take a value
+const NEW_VALUE_FLAGS = ['--category', '--tags', '--description', '--date', '--author', '--series', '--series-part'];
+
+const STARTER_BODY = `Write the opening paragraph here. It doubles as the excerpt on the home page.
+
+## First section
+
+Start writing.
+`;
+
+/**
+ * Read the `new` command's title and flags from the arguments after "new"
+ */
+function parseNewArgs(args) {
+    const options = { tags: null };
+    const words = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const [flag, inlineValue] = args[i].split(/=(.*)/s);
+        if (NEW_VALUE_FLAGS.includes(flag)) {
+            const value = inlineValue !== undefined ? inlineValue : args[++i];
+            const key = flag.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+            options[key] = value === undefined ? '' : value;
+        } else if (flag === '--markdown' || flag === '--draft') {
+            options[flag.slice(2)] = true;
+        } else if (CONFIG_VALUE_FLAGS.includes(flag)) {
+            // Handled by parseConfigArgs(); skip its value so it doesn't end up in the title
+            if (inlineValue === undefined) i++;
+        } else if (!flag.startsWith('--')) {
+            words.push(args[i]);
+        }
+    }
+
+    options.title = words.join(' ').trim();
+    if (options.tags !== null) {
+        options.tags = options.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+    return options;
+}
+
+/**
+ * Name of a vocabulary entry, whether it is a string or { name }
+ */
+function entryName(entry) {
+    return typeof entry === 'string' ? entry : entry && entry.name;
+}
+
+/**
+ * Existing categories and tags from posts.json
+ */
+function loadVocabulary(indexFile) {
+    if (!fs.existsSync(indexFile)) return { categories: [], tags: [] };
+
+    const data = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    const names = list => [...new Set((list || []).map(entryName).filter(Boolean))];
+    const postValues = key => (data.posts || []).flatMap(post => post[key] || []);
+
+    return {
+        categories: names([...(data.categories || []), ...(data.posts || []).map(post => post.category)]),
+        tags: names([...(data.tags || []), ...postValues('tags')])
+    };
+}
+
+/**
+ * Edit distance between two strings
+ */
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Compare a name with the vocabulary. Returns { exact } when it only differs
+ * in case or punctuation, { similar } when it looks like a typo or
+ * plural of an existing entry, or {} when it is new.
+ */
+function matchVocabulary(name, vocabulary) {
+    const key = slugify(name);
+    const exact = vocabulary.find(entry => slugify(entry) === key);
+    if (exact) return { exact };
+
+    const similar = vocabulary.find(entry => {
+        const entryKey = slugify(entry);
+        return levenshtein(key, entryKey) <= Math.max(1, Math.floor(entryKey.length / 6)) ||
+            (key.length > 3 && (entryKey.startsWith(key) || key.startsWith(entryKey)));
+    });
+    return similar ? { similar } : {};
+}
+
+/**
+ * Line-by-line terminal prompt. Reads through the line iterator rather than
+ * rl.question() so answers typed (or pasted) ahead of a question aren't lost.
+ */
+function createPrompt() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const lines = rl[Symbol.asyncIterator]();
+
+    return {
+        async ask(question) {
+            process.stdout.write(question);
+            const { value, done } = await lines.next();
+            return done ? '' : value.trim();
+        },
+        close: () => rl.close()
+    };
+}
+
+/**
+ * Print a numbered list of choices
+ */
+function printChoices(label, choices) {
+    console.log(`\n${label}:`);
+    choices.forEach((choice, index) => console.log(`  ${String(index + 1).padStart(2)}. ${choice}`));
+}
+
+/**
+ * Turn "1, 3, Rust" into names, reading numbers as picks from `choices`
+ */
+function pickFromChoices(answer, choices) {
+    return answer.split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => (/^\d+$/.test(item) && choices[Number(item) - 1]) || item);
+}
+
+/**
+ * Settle on one vocabulary name for `name`: existing spellings win, and for
+ * names that look like an existing entry the writer is asked (or warned
+ * when there is no terminal).
+ */
+async function canonicalName(name, vocabulary, prompt, kind) {
+    const { exact, similar } = matchVocabulary(name, vocabulary);
+    if (exact) return exact;
+
+    if (similar) {
+        if (!prompt) {
+            console.log(`⚠️  New ${kind} "${name}" looks like the existing "${similar}"`);
+            return name;
+        }
+        const answer = await prompt.ask(`"${name}" looks like the existing ${kind} "${similar}". Use "${similar}" instead? [Y/n] `);
+        return /^n/i.test(answer) ? name : similar;
+    }
+
+    console.log(`🆕 New ${kind}: ${name}`);
+    return name;
+}
+
+/**
+ * Fill in the title, description, category and tags, prompting for
+ * whatever is missing when running in a terminal
+ */
+async function completePostOptions(options, vocabulary, prompt) {
+    const completed = { ...options };
+
+    if (!completed.title && prompt) {
+        completed.title = await prompt.ask('Title: ');
+    }
+    if (!completed.title) {
+        throw new Error('A title is required: node generate-posts-index.js new "Post title"');
+    }
+
+    if (!completed.description && prompt) {
+        completed.description = await prompt.ask('Description (one sentence for search results and link previews): ');
+    }
+
+    if (!completed.category && prompt && vocabulary.categories.length > 0) {
+        printChoices('Categories', vocabulary.categories);
+        const [picked] = pickFromChoices(await prompt.ask('Category (number or a new name): '), vocabulary.categories);
+        completed.category = picked;
+    }
+    if (completed.category) {
+        completed.category = await canonicalName(completed.category, vocabulary.categories, prompt, 'category');
+    }
+
+    if (completed.tags === null && prompt && vocabulary.tags.length > 0) {
+        printChoices('Tags', vocabulary.tags);
+        completed.tags = pickFromChoices(await prompt.ask('Tags (numbers or names, comma separated): '), vocabulary.tags);
+    }
+    const tags = [];
+    for (const tag of completed.tags || []) {
+        const name = await canonicalName(tag, vocabulary.tags, prompt, 'tag');
+        if (!tags.includes(name)) tags.push(name);
+    }
+    completed.tags = tags;
+
+    return completed;
+}
+
+/**
+ * Front matter + starter body for the post
+ */
+function renderPostSource(post) {
+    const quote = value => `"${String(value).replace(/"/g, '\\"')}"`;
+    const lines = [
+        '---',
+        `title: ${quote(post.title)}`,
+        post.description ? `description: ${quote(post.description)}` : null,
+        `date: ${post.date}`,
+        post.category ? `category: ${quote(post.category)}` : null,
+        post.tags.length > 0 ? `tags: [${post.tags.map(quote).join(', ')}]` : null,
+        post.author ? `author: ${quote(post.author)}` : null,
+        post.series ? `series: ${quote(post.series)}` : null,
+        post.series && post.seriesPart ? `series-part: ${post.seriesPart}` : null,
+        post.draft ? 'status: draft' : null,
+        '---',
+        ''
+    ];
+    return lines.filter(line => line !== null).join('\n') + '\n' + STARTER_BODY;
+}
+
+/**
+ * Create the post file. `config` is the indexer configuration (postsPath
+ * and the defaults the layout needs). Returns the path of the new file.
+ */
+async function scaffoldPost(options, config) {
+    const interactive = process.stdin.isTTY && process.stdout.isTTY;
+    const prompt = interactive ? createPrompt() : null;
+
+    let post;
+    try {
+        const vocabulary = loadVocabulary(path.join(config.postsPath, 'posts.json'));
+        post = await completePostOptions(options, vocabulary, prompt);
+    } finally {
+        if (prompt) prompt.close();
+    }
+
+    post.date = post.date || localDate();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(post.date)) {
+        throw new Error(`--date must be YYYY-MM-DD (got "${post.date}")`);
+    }
+
+    const slug = slugify(post.title);
+    if (!slug) {
+        throw new Error(`Cannot make a file name out of "${post.title}"`);
+    }
+    const existing = ['.html', '.md']
+        .map(extension => path.join(config.postsPath, slug + extension))
+        .find(file => fs.existsSync(file));
+    if (existing) {
+        throw new Error(`${path.relative(process.cwd(), existing)} already exists`);
+    }
+
+    const source = renderPostSource(post);
+    const markdownPath = path.join(config.postsPath, `${slug}.md`);
+    let filePath = markdownPath;
+
+    if (post.markdown) {
+        fs.writeFileSync(markdownPath, source, 'utf8');
+    } else {
+        // Same layout as compiled Markdown posts, minus the "generated" notice
+        filePath = path.join(config.postsPath, `${slug}.html`);
+        const html = renderMarkdownPost(source, markdownPath, config)
+            .split('\n')
+            .filter(line => !line.includes(GENERATED_MARKER))
+            .join('\n');
+        fs.writeFileSync(filePath, html, 'utf8');
+    }
+
+    return filePath;
+}
+
+module.exports = {
+    parseNewArgs,
+    scaffoldPost
+};
@@ -0,0 +1,56 @@
+/**
+ * Search index generation for the SilentCoderHub blog
+ *
+ * Writes search-index.json at the site root: the title and excerpt of every
+ * post plus an inverted index over its title, tags, category, excerpt and
+ * .post-content. Text analysis and querying live in the shared search.js
+ * that the home and archive pages load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { buildIndex } = require('../search');
+
+const SEARCH_INDEX_FILE = 'search-index.json';
+
+/**
+ * Visible text of a post's .post-content HTML
+ */
+function toPlainText(html) {
+    const fragment = JSDOM.fragment(html);
+    fragment.querySelectorAll('script, style').forEach(el => el.remove());
+    // Keep block boundaries so words in adjacent elements don't run together
+    fragment.querySelectorAll('p, li, h1, h2, h3, h4, h5, h6, td, th, pre, blockquote, div').forEach(el => {
+        el.append(' ');
+    });
+    return fragment.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Write search-index.json into `options.outputDir`.
+ *
+ * `contents` maps post slugs to their .post-content HTML.
+ */
+function generateSearchIndex(indexData, contents, options) {
+    const documents = indexData.posts.map(post => ({
+        slug: post.slug,
+        title: post.title,
+        tags: post.tags,
+        category: post.category,
+        excerpt: post.excerpt,
+        content: toPlainText(contents[post.slug] || '')
+    }));
+
+    const index = buildIndex(documents);
+    const json = JSON.stringify(index);
+    fs.writeFileSync(path.join(options.outputDir, SEARCH_INDEX_FILE), json, 'utf8');
+
+    console.log(`🔎 Search index written: ${Object.keys(index.terms).length} terms, ${(json.length / 1024).toFixed(1)} KB`);
+}
+
+module.exports = {
+    generateSearchIndex,
+    toPlainText,
+    SEARCH_INDEX_FILE
+};
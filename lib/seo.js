@@ -0,0 +1,236 @@
+/**
+ * SEO head tags and JSON-LD structured data for the static build
+ *
+ * Hand-written posts each carry their own canonical, Open Graph, Twitter
+ * and article: tags, and those copies drift apart over time. The build
+ * drops them and writes one block generated from the post's entry in the
+ * posts index instead, along with BlogPosting and BreadcrumbList JSON-LD.
+ * The home page gets a Blog JSON-LD listing the recent posts.
+ */
+
+const { absoluteUrl, postPath, slugify } = require('./utils');
+const { authorPath } = require('./authors');
+const { socialCardUrl } = require('./social-cards');
+const { translationVersions } = require('./translations');
+
+// Head elements the build regenerates; anything matching is replaced
+const MANAGED_TAGS = [
+    'link[rel="canonical"]',
+    'link[rel="alternate"][hreflang]',
+    'meta[property^="og:"]', 'meta[name^="og:"]',
+    'meta[property^="twitter:"]', 'meta[name^="twitter:"]',
+    'meta[property^="article:"]', 'meta[name^="article:"]',
+    'script[type="application/ld+json"]'
+].join(', ');
+
+// Section comments that only labelled the hand-written tags
+const MANAGED_COMMENTS = /^\s*(Open Graph|Twitter|SEO)\b/i;
+
+/**
+ * Remove a head node along with the indentation before it
+ */
+function removeNode(node) {
+    const before = node.previousSibling;
+    if (before && before.nodeType === 3 && !before.textContent.trim()) before.remove();
+    node.remove();
+}
+
+/**
+ * The image shown in link previews: the post's social card, or the logo
+ * when cards are turned off
+ */
+function previewImage(post, options) {
+    return options.features && !options.features.socialCards
+        ? absoluteUrl(options.siteUrl, 'assets/logo.png')
+        : socialCardUrl(post.slug, options);
+}
+
+/**
+ * hreflang alternates for a translated post: one per version, plus
+ * x-default for the version in the site's default language
+ */
+function hreflangTags(post, options) {
+    const versions = translationVersions(post);
+    const fallback = versions.find(version => version.lang === options.defaultLanguage);
+
+    return [...versions, ...(fallback ? [{ ...fallback, lang: 'x-default' }] : [])].map(version => ['link', {
+        rel: 'alternate',
+        hreflang: version.lang,
+        href: absoluteUrl(options.siteUrl, postPath(version.slug, options.postsDir))
+    }]);
+}
+
+/**
+ * Meta/link tags for a post, as [tag name, attributes] pairs
+ */
+function postHeadTags(post, options) {
+    const url = absoluteUrl(options.siteUrl, postPath(post.slug, options.postsDir));
+    const image = previewImage(post, options);
+    const authors = post.authors || [post.author];
+
+    return [
+        ['link', { rel: 'canonical', href: url }],
+        ...hreflangTags(post, options),
+        ['meta', { property: 'og:type', content: 'article' }],
+        ['meta', { property: 'og:site_name', content: options.siteTitle }],
+        ['meta', { property: 'og:title', content: post.title }],
+        ['meta', { property: 'og:description', content: post.excerpt }],
+        ['meta', { property: 'og:url', content: url }],
+        ['meta', { property: 'og:image', content: image }],
+        ['meta', { property: 'article:published_time', content: post.date }],
+        post.lastModified ? ['meta', { property: 'article:modified_time', content: post.lastModified }] : null,
+        ...authors.map(name => ['meta', { property: 'article:author', content: name }]),
+        ['meta', { property: 'article:section', content: post.category }],
+        ...post.tags.map(tag => ['meta', { property: 'article:tag', content: tag }]),
+        ['meta', { name: 'twitter:card', content: 'summary_large_image' }],
+        ['meta', { name: 'twitter:title', content: post.title }],
+        ['meta', { name: 'twitter:description', content: post.excerpt }],
+        ['meta', { name: 'twitter:image', content: image }]
+    ].filter(Boolean);
+}
+
+/**
+ * BlogPosting and BreadcrumbList structured data for a post
+ */
+function postStructuredData(post, options) {
+    const url = absoluteUrl(options.siteUrl, postPath(post.slug, options.postsDir));
+    const authors = post.authors || [post.author];
+
+    const posting = {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: post.title,
+        description: post.excerpt,
+        url,
+        mainEntityOfPage: url,
+        image: previewImage(post, options),
+        datePublished: post.date,
+        dateModified: post.lastModified || post.date,
+        author: authors.map(name => ({
+            '@type': 'Person',
+            name,
+            url: absoluteUrl(options.siteUrl, authorPath(name))
+        })),
+        publisher: {
+            '@type': 'Organization',
+            name: options.siteTitle,
+            logo: { '@type': 'ImageObject', url: absoluteUrl(options.siteUrl, 'assets/logo.png') }
+        },
+        articleSection: post.category,
+        keywords: post.tags.join(', ')
+    };
+    if (post.lang) posting.inLanguage = post.lang;
+    if (post.stats) posting.wordCount = post.stats.words;
+
+    const breadcrumbs = {
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+            [options.siteTitle, absoluteUrl(options.siteUrl, '')],
+            [post.category, absoluteUrl(options.siteUrl, `category/${slugify(post.category)}/`)],
+            [post.title, url]
+        ].map(([name, item], index) => ({ '@type': 'ListItem', position: index + 1, name, item }))
+    };
+
+    return [posting, breadcrumbs];
+}
+
+/**
+ * Blog structured data for the home page, listing `posts`
+ */
+function blogStructuredData(posts, options) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Blog',
+        name: options.siteTitle,
+        description: options.siteDescription,
+        url: absoluteUrl(options.siteUrl, ''),
+        blogPost: posts.map(post => ({
+            '@type': 'BlogPosting',
+            headline: post.title,
+            url: absoluteUrl(options.siteUrl, postPath(post.slug, options.postsDir)),
+            datePublished: post.date,
+            author: (post.authors || [post.author]).map(name => ({ '@type': 'Person', name }))
+        }))
+    };
+}
+
+/**
+ * JSON for a <script> element; "</" is escaped so content can't close it
+ */
+function jsonForScript(data) {
+    return JSON.stringify(data, null, 2).replace(/<\//g, '<\\/');
+}
+
+/**
+ * Remove the managed tags from <head> and insert `tags` plus JSON-LD
+ * `structuredData` in their place (before the stylesheets when the page
+ * had none). Also keeps <meta name="description"> in step when given.
+ */
+function replaceHeadTags(doc, { tags = [], structuredData = [], description = null }) {
+    const head = doc.head;
+    const managed = Array.from(head.querySelectorAll(MANAGED_TAGS));
+    const comments = Array.from(head.childNodes)
+        .filter(node => node.nodeType === 8 && MANAGED_COMMENTS.test(node.textContent));
+    const anchor = managed.length > 0
+        ? managed[0]
+        : head.querySelector('link[rel="stylesheet"], style, script') || null;
+
+    const indent = '\n    ';
+    const fragment = doc.createDocumentFragment();
+    fragment.appendChild(doc.createComment(' SEO: generated by the build from the posts index '));
+
+    tags.forEach(([name, attributes]) => {
+        const el = doc.createElement(name);
+        Object.entries(attributes).forEach(([key, value]) => el.setAttribute(key, value));
+        fragment.appendChild(doc.createTextNode(indent));
+        fragment.appendChild(el);
+    });
+    structuredData.forEach(data => {
+        const script = doc.createElement('script');
+        script.setAttribute('type', 'application/ld+json');
+        script.textContent = `\n${jsonForScript(data)}\n    `;
+        fragment.appendChild(doc.createTextNode(indent));
+        fragment.appendChild(script);
+    });
+    fragment.appendChild(doc.createTextNode(indent));
+
+    head.insertBefore(fragment, anchor);
+
+    // Drop the old tags and the section comments that labelled them
+    [...managed, ...comments].forEach(removeNode);
+
+    if (description !== null) {
+        const meta = head.querySelector('meta[name="description"]');
+        if (meta) meta.setAttribute('content', description);
+    }
+}
+
+/**
+ * Regenerate a post page's SEO block from its index entry
+ */
+function applyPostSeo(doc, post, options) {
+    replaceHeadTags(doc, {
+        tags: postHeadTags(post, options),
+        structuredData: postStructuredData(post, options),
+        description: post.excerpt
+    });
+}
+
+/**
+ * Add the Blog JSON-LD to the home page
+ */
+function applyHomeSeo(doc, posts, options) {
+    replaceHeadTags(doc, {
+        tags: [['link', { rel: 'canonical', href: absoluteUrl(options.siteUrl, '') }]],
+        structuredData: [blogStructuredData(posts, options)]
+    });
+}
+
+module.exports = {
+    postHeadTags,
+    postStructuredData,
+    blogStructuredData,
+    applyPostSeo,
+    applyHomeSeo
+};
@@ -0,0 +1,57 @@
+/**
+ * Multi-part series for the SilentCoderHub blog
+ *
+ * Posts join a series with <meta name="series"> and order themselves with
+ * <meta name="series-part"> (front matter `series` / `series-part` for
+ * Markdown posts). The index gets a `series` listing that the post pages
+ * and the home page render from.
+ */
+
+const { slugify } = require('./utils');
+
+/**
+ * Series listing: [{ name, slug, posts: [slug, ...] }] with the posts in part
+ * order (then by date for parts without a number), series sorted by name
+ */
+function collectSeries(posts) {
+    const byName = {};
+    posts.filter(post => post.series).forEach(post => {
+        (byName[post.series] = byName[post.series] || []).push(post);
+    });
+
+    const partOrder = post => post.seriesPart || Number.MAX_SAFE_INTEGER;
+
+    return Object.keys(byName).sort().map(name => ({
+        name,
+        slug: slugify(name),
+        posts: byName[name]
+            .sort((a, b) => partOrder(a) - partOrder(b) || a.date.localeCompare(b.date))
+            .map(post => post.slug)
+    }));
+}
+
+/**
+ * Where a post sits in its series: { name, part, total, prev, next } with
+ * prev/next as index entries (or null), or null when it is not in a series.
+ * Parts are numbered by position among the published posts of the series.
+ */
+function seriesPosition(slug, indexData) {
+    const series = (indexData.series || []).find(entry => entry.posts.includes(slug));
+    if (!series) return null;
+
+    const index = series.posts.indexOf(slug);
+    const postFor = neighbour => indexData.posts.find(post => post.slug === neighbour) || null;
+
+    return {
+        name: series.name,
+        part: index + 1,
+        total: series.posts.length,
+        prev: index > 0 ? postFor(series.posts[index - 1]) : null,
+        next: index < series.posts.length - 1 ? postFor(series.posts[index + 1]) : null
+    };
+}
+
+module.exports = {
+    collectSeries,
+    seriesPosition
+};
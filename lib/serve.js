@@ -0,0 +1,241 @@
+/**
+ * Local development server for the SilentCoderHub blog
+ *
+ * Serves the site root over HTTP (so the fetch() calls for posts.json and
+ * the header/footer partials work, which they don't from file://) and
+ * pushes live-reload events to open pages over Server-Sent Events. Every
+ * HTML page served gets a small client script that reloads the page on a
+ * "reload" event and swaps the changed stylesheet in place on a "css"
+ * event, so style tweaks show up without losing the scroll position.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { PARTIALS } = require('./build');
+
+const DEFAULT_PORT = 4000;
+const DEFAULT_HOST = 'localhost';
+const EVENTS_PATH = '/__livereload';
+const CLIENT_PATH = '/__livereload.js';
+const NOTIFY_DEBOUNCE_MS = 100;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+// Files outside the posts watcher's reach that should refresh open pages
+const PAGES = ['index.html', 'about.html', 'archive.html', 'contact.html'];
+
+const CLIENT_SCRIPT = `(function () {
+    var events = new EventSource('${EVENTS_PATH}');
+    events.addEventListener('reload', function () {
+        location.reload();
+    });
+    events.addEventListener('css', function (event) {
+        document.querySelectorAll('link[rel="stylesheet"]').forEach(function (link) {
+            var url = new URL(link.href);
+            if (url.origin !== location.origin || url.pathname !== '/' + event.data) return;
+            url.searchParams.set('livereload', Date.now());
+            link.href = url.href;
+        });
+    });
+})();
+`;
+
+/**
+ * Read --port and --host from the arguments after "serve"
+ */
+function parseServeArgs(args) {
+    const options = { port: DEFAULT_PORT, host: DEFAULT_HOST };
+
+    for (let i = 0; i < args.length; i++) {
+        const [flag, inlineValue] = args[i].split(/=(.*)/s);
+        if (flag !== '--port' && flag !== '--host') continue;
+
+        const value = inlineValue !== undefined ? inlineValue : args[++i];
+        if (value === undefined) throw new Error(`${flag} needs a value`);
+        options[flag.slice(2)] = value;
+    }
+
+    const port = Number(options.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`--port must be a number between 0 and 65535 (got "${options.port}")`);
+    }
+    options.port = port;
+    return options;
+}
+
+/**
+ * Map a request path to a file under rootDir. Returns null for paths that
+ * leave the root or touch dotfiles (.git, .cache).
+ */
+function resolveRequestPath(rootDir, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+
+    const filePath = path.join(rootDir, decoded);
+    const relative = path.relative(rootDir, filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+    if (relative.split(path.sep).some(segment => segment.startsWith('.'))) return null;
+    return filePath;
+}
+
+/**
+ * Insert the live-reload client before </body> (or at the end)
+ */
+function injectClient(html) {
+    const tag = `<script src="${CLIENT_PATH}"></script>`;
+    const index = html.lastIndexOf('</body>');
+    return index === -1 ? html + tag : html.slice(0, index) + tag + '\n' + html.slice(index);
+}
+
+/**
+ * Start the server. Resolves with { server, url, reload(), cssChanged(file) }
+ * once it is listening; rejects when the port can't be bound.
+ */
+function startDevServer({ rootDir, port = DEFAULT_PORT, host = DEFAULT_HOST }) {
+    const clients = new Set();
+
+    const send = (event, data = '') => {
+        clients.forEach(response => response.write(`event: ${event}\ndata: ${data}\n\n`));
+    };
+
+    const server = http.createServer((request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.writeHead(405, { Allow: 'GET, HEAD' });
+            response.end();
+            return;
+        }
+
+        if (pathname === EVENTS_PATH) {
+            response.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive'
+            });
+            response.write('retry: 1000\n\n');
+            clients.add(response);
+            request.on('close', () => clients.delete(response));
+            return;
+        }
+
+        if (pathname === CLIENT_PATH) {
+            response.writeHead(200, { 'Content-Type': CONTENT_TYPES['.js'], 'Cache-Control': 'no-store' });
+            response.end(request.method === 'HEAD' ? undefined : CLIENT_SCRIPT);
+            return;
+        }
+
+        let filePath = resolveRequestPath(rootDir, pathname);
+        let stats = filePath && fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+
+        if (stats && stats.isDirectory()) {
+            // Pages use relative links, so directories must be served with a trailing slash
+            if (!pathname.endsWith('/')) {
+                response.writeHead(301, { Location: pathname + '/' });
+                response.end();
+                return;
+            }
+            filePath = path.join(filePath, 'index.html');
+            stats = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+        }
+
+        if (!stats || !stats.isFile()) {
+            console.log(`⚠️  404 ${pathname}`);
+            response.writeHead(404, { 'Content-Type': CONTENT_TYPES['.txt'] });
+            response.end(`Not found: ${pathname}\n`);
+            return;
+        }
+
+        const extension = path.extname(filePath).toLowerCase();
+        let body = fs.readFileSync(filePath);
+        if (extension === '.html') {
+            body = Buffer.from(injectClient(body.toString('utf8')), 'utf8');
+        }
+
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+            'Content-Length': body.length,
+            'Cache-Control': 'no-store'
+        });
+        response.end(request.method === 'HEAD' ? undefined : body);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', error => {
+            reject(error.code === 'EADDRINUSE' ? new Error(`Port ${port} is already in use, try --port <number>`) : error);
+        });
+        server.listen(port, host, () => {
+            const address = server.address();
+            resolve({
+                server,
+                url: `http://${host}:${address.port}/`,
+                reload: () => send('reload'),
+                cssChanged: file => send('css', file)
+            });
+        });
+    });
+}
+
+/**
+ * Watch the stylesheets, scripts, top-level pages and header/footer
+ * partials (posts themselves are left to the indexer's watcher). Changes
+ * are debounced and reported as onChange({ reload, stylesheets }): a full
+ * reload when anything but CSS changed, otherwise the site-relative paths
+ * of the stylesheets to swap.
+ */
+function watchSiteFiles(rootDir, postsDir, onChange) {
+    const pending = new Set();
+    let timer = null;
+
+    const isSiteFile = (dir, filename) => {
+        if (filename.endsWith('.css') || filename.endsWith('.js') || PARTIALS.includes(filename)) return true;
+        return dir === rootDir && PAGES.includes(filename);
+    };
+
+    const flush = () => {
+        timer = null;
+        const files = [...pending];
+        pending.clear();
+
+        const stylesheets = files.filter(file => file.endsWith('.css'));
+        onChange({ files, reload: stylesheets.length < files.length, stylesheets });
+    };
+
+    [rootDir, postsDir].forEach(dir => {
+        fs.watch(dir, { recursive: false }, (eventType, filename) => {
+            if (!filename || !isSiteFile(dir, filename)) return;
+            pending.add(path.relative(rootDir, path.join(dir, filename)).split(path.sep).join('/'));
+            clearTimeout(timer);
+            timer = setTimeout(flush, NOTIFY_DEBOUNCE_MS);
+        });
+    });
+}
+
+module.exports = {
+    parseServeArgs,
+    startDevServer,
+    watchSiteFiles,
+    DEFAULT_PORT
+};
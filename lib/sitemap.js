@@ -0,0 +1,84 @@
+/**
+ * sitemap.xml and robots.txt generation for the SilentCoderHub blog
+ *
+ * Lists the top-level pages and every post. Each <lastmod> comes from the
+ * file's git history (or its mtime when uncommitted), never the build time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, absoluteUrl, postPath, getLastModified } = require('./utils');
+
+// Top-level pages listed in the sitemap, relative to the site root
+const SITE_PAGES = ['index.html', 'archive.html', 'about.html', 'contact.html'];
+
+/**
+ * One <url> entry
+ */
+function renderUrl(loc, lastmod, priority) {
+    return `
+  <url>
+    <loc>${escapeHtml(encodeURI(loc))}</loc>
+    <lastmod>${lastmod}</lastmod>
+    <priority>${priority}</priority>
+  </url>`;
+}
+
+/**
+ * Write sitemap.xml and robots.txt into `options.outputDir`.
+ *
+ * Options: siteUrl, rootDir (where the pages live), postsDir, outputDir,
+ * excludeDrafts to leave unpublished posts out of previews and listingPages
+ * ([{ path, lastModified }] from generateListingPages()).
+ */
+function generateSitemap(indexData, options) {
+    const posts = options.excludeDrafts
+        ? indexData.posts.filter(post => post.status === 'published')
+        : indexData.posts;
+
+    // The home page changes whenever a post does
+    const latestPostChange = posts
+        .map(post => post.lastModified)
+        .sort()
+        .pop();
+
+    const pageEntries = SITE_PAGES
+        .filter(page => fs.existsSync(path.join(options.rootDir, page)))
+        .map(page => {
+            let lastmod = getLastModified(path.join(options.rootDir, page));
+            if (page === 'index.html' && latestPostChange > lastmod) {
+                lastmod = latestPostChange;
+            }
+            const loc = absoluteUrl(options.siteUrl, page === 'index.html' ? '' : page);
+            return renderUrl(loc, lastmod, page === 'index.html' ? '1.0' : '0.5');
+        });
+
+    const postEntries = posts.map(post =>
+        renderUrl(absoluteUrl(options.siteUrl, postPath(post.slug, options.postsDir)), post.lastModified, '0.8')
+    );
+
+    const listingEntries = (options.listingPages || []).map(page =>
+        renderUrl(absoluteUrl(options.siteUrl, page.path), page.lastModified, '0.3')
+    );
+
+    const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${[...pageEntries, ...postEntries, ...listingEntries].join('')}
+</urlset>
+`;
+
+    const robots = `User-agent: *
+Allow: /
+
+Sitemap: ${absoluteUrl(options.siteUrl, 'sitemap.xml')}
+`;
+
+    fs.writeFileSync(path.join(options.outputDir, 'sitemap.xml'), sitemap, 'utf8');
+    fs.writeFileSync(path.join(options.outputDir, 'robots.txt'), robots, 'utf8');
+
+    const skipped = indexData.posts.length - posts.length;
+    console.log(`🗺️  Sitemap written: ${pageEntries.length + postEntries.length + listingEntries.length} URLs${skipped ? ` (${skipped} unpublished left out)` : ''}`);
+}
+
+module.exports = {
+    generateSitemap
+};
@@ -0,0 +1,154 @@
+/**
+ * Open Graph social cards for the SilentCoderHub blog
+ *
+ * Renders a 1200x630 branded card per post (title, category, read time and
+ * the site logo) as og/<slug>.svg, and rasterizes it to og/<slug>.png when
+ * the optional @resvg/resvg-js package is installed. Everything happens
+ * locally, no rendering service involved. The build points og:image and
+ * twitter:image at the PNG, or at the SVG when there is no rasterizer.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, absoluteUrl } = require('./utils');
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+
+// Directory (relative to the site root) the cards are written to
+const CARD_DIR = 'og';
+const LOGO_FILE = path.join(__dirname, '..', 'assets', 'logo.png');
+
+// Brand colours, matching the variables at the top of styles.css
+const COLORS = {
+    primary: '#1a365d',
+    secondary: '#4299e1',
+    accent: '#38a169',
+    text: '#ffffff',
+    muted: '#cbd5e0'
+};
+
+const FONT_FAMILY = "'Segoe UI', Tahoma, Geneva, Verdana, Arial, sans-serif";
+
+/**
+ * The PNG rasterizer, or null when @resvg/resvg-js is not installed
+ */
+function loadRasterizer() {
+    try {
+        return require('@resvg/resvg-js').Resvg;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether cards can be rasterized to PNG here (@resvg/resvg-js is installed)
+ */
+function canRenderSocialCards() {
+    return loadRasterizer() !== null;
+}
+
+/**
+ * Absolute URL of a post's card: the PNG when it can be rendered, else the SVG
+ */
+function socialCardUrl(slug, options) {
+    const extension = canRenderSocialCards() ? 'png' : 'svg';
+    return absoluteUrl(options.siteUrl, `${CARD_DIR}/${slug}.${extension}`);
+}
+
+/**
+ * Break `text` into lines of roughly `maxChars` characters, ending with an
+ * ellipsis when it needs more than `maxLines`
+ */
+function wrapText(text, maxChars, maxLines) {
+    const lines = [];
+    let line = '';
+
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        if (line && (line + ' ' + word).length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    });
+    if (line) lines.push(line);
+
+    if (lines.length > maxLines) {
+        const kept = lines.slice(0, maxLines);
+        kept[maxLines - 1] = kept[maxLines - 1].replace(/\s*\S*$/, '') + '…';
+        return kept;
+    }
+    return lines;
+}
+
+/**
+ * SVG markup of a post's card, referencing the logo relative to og/
+ */
+function renderCardSvg(post, options) {
+    // Long titles get a smaller font so they still fit in four lines
+    const fontSize = post.title.length > 70 ? 54 : 64;
+    const lines = wrapText(post.title, Math.floor(1040 / (fontSize * 0.56)), 4);
+    const titleTop = 250 + (4 - lines.length) * fontSize * 0.5;
+
+    const pillWidth = Math.round(post.category.length * 13 + 48);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${COLORS.primary}"/>
+      <stop offset="100%" stop-color="${COLORS.secondary}"/>
+    </linearGradient>
+    <clipPath id="logo-clip">
+      <circle cx="124" cy="104" r="44"/>
+    </clipPath>
+  </defs>
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#background)"/>
+  <image href="../assets/logo.png" x="80" y="60" width="88" height="88" clip-path="url(#logo-clip)"/>
+  <text x="188" y="116" font-family="${FONT_FAMILY}" font-size="34" font-weight="700" fill="${COLORS.text}">${escapeHtml(options.siteTitle)}</text>
+  <rect x="80" y="178" width="${pillWidth}" height="44" rx="22" fill="${COLORS.accent}"/>
+  <text x="${80 + pillWidth / 2}" y="208" text-anchor="middle" font-family="${FONT_FAMILY}" font-size="20" font-weight="700" letter-spacing="1" fill="${COLORS.text}">${escapeHtml(post.category.toUpperCase())}</text>
+  <text font-family="${FONT_FAMILY}" font-size="${fontSize}" font-weight="800" fill="${COLORS.text}">
+${lines.map((line, i) => `    <tspan x="80" y="${Math.round(titleTop + (i + 1) * fontSize * 1.15)}">${escapeHtml(line)}</tspan>`).join('\n')}
+  </text>
+  <text x="80" y="568" font-family="${FONT_FAMILY}" font-size="28" fill="${COLORS.muted}">${escapeHtml(post.readTime)} · ${escapeHtml(post.author)}</text>
+  <rect y="${CARD_HEIGHT - 12}" width="${CARD_WIDTH}" height="12" fill="${COLORS.accent}"/>
+</svg>
+`;
+}
+
+/**
+ * Write the cards for `posts` into `options.outputDir`/og/: an SVG per post,
+ * plus a PNG when @resvg/resvg-js is installed (see canRenderSocialCards()).
+ *
+ * Options: outputDir and siteTitle.
+ */
+function generateSocialCards(posts, options) {
+    const Resvg = loadRasterizer();
+    const cardDir = path.join(options.outputDir, CARD_DIR);
+    fs.rmSync(cardDir, { recursive: true, force: true });
+    fs.mkdirSync(cardDir, { recursive: true });
+
+    const logoHref = fs.existsSync(LOGO_FILE)
+        ? `data:image/png;base64,${fs.readFileSync(LOGO_FILE).toString('base64')}`
+        : null;
+
+    posts.forEach(post => {
+        const svg = renderCardSvg(post, options);
+        const inlined = logoHref ? svg.replace('href="../assets/logo.png"', `href="${logoHref}"`) : svg;
+        fs.writeFileSync(path.join(cardDir, `${post.slug}.svg`), inlined, 'utf8');
+        if (Resvg) {
+            const png = new Resvg(inlined, { fitTo: { mode: 'width', value: CARD_WIDTH } }).render().asPng();
+            fs.writeFileSync(path.join(cardDir, `${post.slug}.png`), png);
+        }
+    });
+
+    console.log(`🖼️  Social cards written: ${posts.length} SVG${Resvg ? ` + ${posts.length} PNG` : ''}`);
+}
+
+module.exports = {
+    canRenderSocialCards,
+    socialCardUrl,
+    renderCardSvg,
+    generateSocialCards
+};
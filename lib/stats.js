@@ -0,0 +1,108 @@
+/**
+ * Content statistics for posts
+ *
+ * Counts are taken from the article body (.post-content) only, so the
+ * navigation, footer, tag list and inline scripts around it don't inflate
+ * them. Prose words, code-block lines and images are counted separately
+ * because they read at different speeds: code is read line by line and
+ * each image gets a look, with the first images getting the longest one.
+ */
+
+const { JSDOM } = require('jsdom');
+
+// Reading-speed model; prose uses the configured words per minute
+const CODE_SECONDS_PER_LINE = 4;
+const IMAGE_SECONDS_FIRST = 12; // Then one second less per image...
+const IMAGE_SECONDS_MIN = 3; // ...down to this
+
+// Not read as prose: code blocks are counted as lines, the rest not at all
+const NON_PROSE = 'pre, script, style, noscript, template';
+
+/**
+ * Count the words, code blocks and lines, images, headings and outbound
+ * links in a content element. Links are outbound when they point at
+ * another host than `siteUrl`.
+ */
+function contentStats(contentEl, { siteUrl = '' } = {}) {
+    const siteHost = siteUrl ? new URL(siteUrl).host : null;
+
+    const codeLines = Array.from(contentEl.querySelectorAll('pre')).reduce((sum, pre) => {
+        return sum + pre.textContent.split('\n').filter(line => line.trim().length > 0).length;
+    }, 0);
+
+    const prose = contentEl.cloneNode(true);
+    prose.querySelectorAll(NON_PROSE).forEach(el => el.remove());
+    const words = (prose.textContent || '').split(/\s+/).filter(word => word.length > 0).length;
+
+    const outboundLinks = Array.from(contentEl.querySelectorAll('a[href]')).filter(link => {
+        const href = link.getAttribute('href').trim();
+        if (!/^(https?:)?\/\//i.test(href)) return false;
+        try {
+            return new URL(href, 'https://localhost').host !== siteHost;
+        } catch (error) {
+            return false;
+        }
+    }).length;
+
+    return {
+        words,
+        codeBlocks: contentEl.querySelectorAll('pre').length,
+        codeLines,
+        images: contentEl.querySelectorAll('img').length,
+        headings: contentEl.querySelectorAll('h1, h2, h3, h4, h5, h6').length,
+        outboundLinks
+    };
+}
+
+/**
+ * contentStats() for an HTML string
+ */
+function htmlStats(html, options) {
+    return contentStats(JSDOM.fragment(`<div>${html}</div>`).firstChild, options);
+}
+
+/**
+ * Whole minutes needed to read content with these stats (at least one)
+ */
+function readMinutes(stats, wordsPerMinute) {
+    let seconds = stats.words / wordsPerMinute * 60 + stats.codeLines * CODE_SECONDS_PER_LINE;
+    for (let i = 0; i < stats.images; i++) {
+        seconds += Math.max(IMAGE_SECONDS_MIN, IMAGE_SECONDS_FIRST - i);
+    }
+    return Math.max(1, Math.ceil(seconds / 60));
+}
+
+/**
+ * "6 min read"
+ */
+function formatReadTime(minutes) {
+    return `${minutes} min read`;
+}
+
+/**
+ * Index-wide totals from the posts' stats
+ */
+function totalStats(posts) {
+    const sum = key => posts.reduce((total, post) => total + ((post.stats && post.stats[key]) || 0), 0);
+
+    return {
+        totalWords: sum('words'),
+        totalCodeBlocks: sum('codeBlocks'),
+        totalCodeLines: sum('codeLines'),
+        totalImages: sum('images'),
+        totalHeadings: sum('headings'),
+        totalOutboundLinks: sum('outboundLinks'),
+        totalReadMinutes: sum('readMinutes'),
+        averageReadTime: posts.length > 0 ? Math.round(sum('readMinutes') / posts.length) : 0,
+        latestPost: posts[0]?.date,
+        oldestPost: posts[posts.length - 1]?.date
+    };
+}
+
+module.exports = {
+    contentStats,
+    htmlStats,
+    readMinutes,
+    formatReadTime,
+    totalStats
+};
@@ -0,0 +1,54 @@
+/**
+ * Table of contents for post pages
+ *
+ * Headings inside .post-content get stable ids (an id the author set is
+ * kept, otherwise the slugified heading text, numbered when it repeats) so
+ * links like post.html#the-memory-hierarchy keep working. The outline is
+ * stored in the posts index and rendered as the in-page TOC.
+ */
+
+const { JSDOM } = require('jsdom');
+const { slugify } = require('./utils');
+
+// Heading levels listed in the table of contents
+const TOC_HEADINGS = 'h2, h3';
+
+/**
+ * Give every TOC heading inside `container` an id and return the outline
+ * as [{ level, text, id }]
+ */
+function assignHeadingIds(container) {
+    const used = new Set(Array.from(container.querySelectorAll('[id]')).map(el => el.id));
+
+    return Array.from(container.querySelectorAll(TOC_HEADINGS)).map(heading => {
+        const text = heading.textContent.replace(/\s+/g, ' ').trim();
+
+        if (!heading.id) {
+            const base = slugify(text) || 'section';
+            let id = base;
+            for (let n = 2; used.has(id); n++) {
+                id = `${base}-${n}`;
+            }
+            heading.id = id;
+            used.add(id);
+        }
+
+        return { level: Number(heading.tagName[1]), text, id: heading.id };
+    });
+}
+
+/**
+ * Add heading ids to an HTML fragment (used for compiled Markdown)
+ */
+function addHeadingIds(html) {
+    // Inside a document: jsdom lists detached h2/h3 matches by selector rather than in document order
+    const container = new JSDOM('<div></div>').window.document.body.firstChild;
+    container.innerHTML = html;
+    assignHeadingIds(container);
+    return container.innerHTML;
+}
+
+module.exports = {
+    assignHeadingIds,
+    addHeadingIds
+};
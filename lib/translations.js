@@ -0,0 +1,84 @@
+/**
+ * Translated posts for the SilentCoderHub blog
+ *
+ * A post states its language with <meta name="lang"> (falling back to
+ * <html lang>, then the site's defaultLanguage) and joins a translation
+ * group with <meta name="translation-key"> (front matter `lang` /
+ * `translation-key` for Markdown posts). A post without a key forms a group
+ * under its own slug, so a translation only has to name the original's slug.
+ * Each post in the index lists the other versions of itself, and the index
+ * gets a `languages` listing that the home and archive pages filter by.
+ */
+
+/**
+ * Set `post.translations` to [{ lang, slug }] for the other published
+ * versions of each post, ordered by language. Returns the groups holding
+ * two posts in the same language as [{ key, lang, slugs }], for a warning.
+ */
+function linkTranslations(posts) {
+    const groups = {};
+    posts.forEach(post => {
+        const key = post.translationKey || post.slug;
+        (groups[key] = groups[key] || []).push(post);
+    });
+
+    const conflicts = [];
+    Object.entries(groups).forEach(([key, group]) => {
+        const byLang = {};
+        group.forEach(post => { (byLang[post.lang] = byLang[post.lang] || []).push(post.slug); });
+        Object.entries(byLang)
+            .filter(([, slugs]) => slugs.length > 1)
+            .forEach(([lang, slugs]) => conflicts.push({ key, lang, slugs }));
+
+        group.forEach(post => {
+            post.translations = group
+                .filter(other => other !== post && other.lang !== post.lang)
+                .map(other => ({ lang: other.lang, slug: other.slug }))
+                .sort((a, b) => a.lang.localeCompare(b.lang));
+        });
+    });
+
+    return conflicts;
+}
+
+/**
+ * Language listing: [{ code, count }], most posts first
+ */
+function collectLanguages(posts) {
+    const counts = {};
+    posts.forEach(post => { counts[post.lang] = (counts[post.lang] || 0) + 1; });
+
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([code, count]) => ({ code, count }));
+}
+
+/**
+ * Every version of a post, itself included, as [{ lang, slug }] ordered by
+ * language; [] when it has no translations
+ */
+function translationVersions(post) {
+    if (!post.translations || post.translations.length === 0) return [];
+
+    return [{ lang: post.lang, slug: post.slug }, ...post.translations]
+        .sort((a, b) => a.lang.localeCompare(b.lang));
+}
+
+/**
+ * A language's own name for itself ("te" -> "తెలుగు"), or the code when
+ * the runtime doesn't know it
+ */
+function languageName(code) {
+    try {
+        return new Intl.DisplayNames([code], { type: 'language' }).of(code) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+module.exports = {
+    linkTranslations,
+    collectLanguages,
+    translationVersions,
+    languageName
+};
@@ -0,0 +1,161 @@
+/**
+ * Small helpers shared by the indexer modules
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+/**
+ * Escape a value for use in HTML text or attributes
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a YYYY-MM-DD date for display in a post's language (e.g.
+ * "September 24, 2025" for "en"). Dates are read as UTC so the day doesn't
+ * shift with the build machine's timezone.
+ */
+function formatDate(date, month = 'long', locale = 'en-US') {
+    const parsed = new Date(`${String(date).split('T')[0]}T00:00:00Z`);
+    if (isNaN(parsed)) return String(date);
+
+    return parsed.toLocaleDateString(locale || 'en-US', {
+        year: 'numeric',
+        month,
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+/**
+ * Turn a category, tag or heading into a URL-safe slug ("I/O Devices" ->
+ * "i-o-devices"). Accents are dropped from Latin letters; other scripts are
+ * kept with their vowel signs ("తెలుగు వ్యాసం" -> "తెలుగు-వ్యాసం").
+ */
+function slugify(value) {
+    return String(value)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .normalize('NFC')
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Join the site URL and a site-relative path
+ */
+function absoluteUrl(siteUrl, relativePath = '') {
+    return `${siteUrl.replace(/\/+$/, '')}/${relativePath.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Site-relative path of a post page ("posts/<slug>.html" with the default postsDir)
+ */
+function postPath(slug, postsDir = 'posts') {
+    return `${postsDir}/${slug}.html`;
+}
+
+/**
+ * When a file last really changed, as an ISO timestamp.
+ * Uses the last commit touching the file when it is committed and clean,
+ * since a fresh checkout stamps every file with the clone time, and falls
+ * back to the file's mtime for new or locally edited files.
+ */
+function getLastModified(filePath) {
+    const git = args => execFileSync('git', args, {
+        cwd: path.dirname(filePath),
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+
+    try {
+        if (git(['status', '--porcelain', '--', filePath]) === '') {
+            const committed = git(['log', '-1', '--format=%cI', '--', filePath]);
+            if (committed) {
+                return new Date(committed).toISOString();
+            }
+        }
+    } catch (error) {
+        // Not a git checkout (or git isn't installed); use the mtime
+    }
+
+    return fs.statSync(filePath).mtime.toISOString();
+}
+
+/**
+ * getLastModified() for many files under `dir` at once: the commit dates
+ * come from a single `git log --name-only` pass rather than two git
+ * processes per file. Returns a function of a file path.
+ */
+function lastModifiedLookup(dir) {
+    const committed = new Map();
+    const dirty = new Set();
+
+    try {
+        const git = args => execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+            cwd: dir,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore'],
+            maxBuffer: 64 * 1024 * 1024
+        });
+        const root = git(['rev-parse', '--show-toplevel']).trim();
+
+        // Porcelain paths are relative to the repository root; renames add the old path too
+        git(['status', '--porcelain', '-z', '--', '.']).split('\0')
+            .filter(Boolean)
+            .forEach(entry => dirty.add(path.join(root, entry.replace(/^.. /, ''))));
+
+        // Newest commit first, so the first date seen for a file is its last change
+        let date = null;
+        git(['log', '--format=%x01%cI', '--name-only', '--', '.']).split('\n').forEach(line => {
+            if (line.startsWith('\x01')) {
+                date = new Date(line.slice(1)).toISOString();
+            } else if (line && date) {
+                const filePath = path.join(root, line);
+                if (!committed.has(filePath)) committed.set(filePath, date);
+            }
+        });
+    } catch (error) {
+        // Not a git checkout (or git isn't installed); every file uses its mtime
+    }
+
+    return filePath => {
+        const resolved = path.resolve(filePath);
+        if (committed.has(resolved) && !dirty.has(resolved)) return committed.get(resolved);
+        return fs.statSync(resolved).mtime.toISOString();
+    };
+}
+
+/**
+ * Every .html file under `dir`, as site-relative POSIX paths
+ */
+function listPages(dir, base = '') {
+    return fs.readdirSync(path.join(dir, base), { withFileTypes: true })
+        .flatMap(entry => {
+            const relative = base ? `${base}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) return listPages(dir, relative);
+            return entry.name.endsWith('.html') ? [relative] : [];
+        })
+        .sort();
+}
+
+module.exports = {
+    escapeHtml,
+    formatDate,
+    slugify,
+    absoluteUrl,
+    postPath,
+    getLastModified,
+    lastModifiedLookup,
+    listPages
+};
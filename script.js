@@ -1,16 +1,15 @@
-// Blog Configuration
-const BLOG_CONFIG = {
-    postsPerPage: 5,
-    postsDirectory: './posts/',
-    maxRecentPosts: 5,
-    maxPopularTags: 10
-};
+// Blog Configuration, generated from site.config.json into site-config.js
+const BLOG_CONFIG = window.SITE_CONFIG;
 
 // Global Variables
-let allPosts = [];
+let allPosts = []; // The posts in the chosen language (see setupLanguageFilter())
+let indexPosts = [];
+let allSeries = [];
+let allLanguages = [];
 let displayedPosts = [];
 let currentPage = 0;
 let isLoading = false;
+let latestSearch = 0;
 
 // DOM Elements
 const postsContainer = document.getElementById('posts-container');
@@ -25,14 +24,21 @@ const subscribeForm = document.getElementById('subscribeForm');
 
 // Initialize the blog when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
+    // Post and listing pages share this script but have no post list to fill
+    if (!postsContainer) return;
+    
     initializeBlog();
     setupEventListeners();
 });
 
 // Initialize Blog
 async function initializeBlog() {
-    showLoadingSkeleton();
+    // Pages from the static build arrive with the posts already rendered
+    if (!postsContainer.hasAttribute('data-prerendered')) {
+        showLoadingSkeleton();
+    }
     await loadAllPosts();
+    setupLanguageFilter();
     hideLoadingSkeleton();
     displayPosts();
     updateSidebar();
@@ -48,8 +54,7 @@ function setupEventListeners() {
     // Load more posts
     loadMoreBtn.addEventListener('click', loadMorePosts);
     
-    // Mobile navigation
-    hamburger.addEventListener('click', toggleMobileMenu);
+    // Mobile navigation is wired up by setupHeader() once the header is on the page
     
     // Back to top button
     window.addEventListener('scroll', handleScroll);
@@ -64,16 +69,6 @@ function setupEventListeners() {
             navLinks.classList.remove('active');
         }
     });
-    
-    // Tag and category filtering
-    document.addEventListener('click', function(e) {
-        if (e.target.classList.contains('tag') || e.target.classList.contains('category-item')) {
-            e.preventDefault();
-            const filterTerm = e.target.textContent.trim().replace(/\d+$/, '').trim(); // Remove count numbers
-            searchInput.value = filterTerm;
-            handleSearch();
-        }
-    });
 }
 
 // Load all posts from actual HTML files
@@ -101,9 +96,11 @@ async function loadAllPosts() {
 // Try to fetch posts from a posts.json index file
 async function fetchPostsFromIndex() {
     try {
-        const response = await fetch('./posts/posts.json');
+        const response = await fetch(`${BLOG_CONFIG.postsDirectory}posts.json`);
         if (response.ok) {
             const postsData = await response.json();
+            allSeries = postsData.series || [];
+            allLanguages = postsData.languages || [];
             return postsData.posts || [];
         }
     } catch (error) {
@@ -137,7 +134,7 @@ async function discoverPosts() {
 // Load and parse individual post HTML file
 async function loadAndParsePost(slug) {
     try {
-        const response = await fetch(`./posts/${slug}.html`);
+        const response = await fetch(`${BLOG_CONFIG.postsDirectory}${slug}.html`);
         if (!response.ok) throw new Error('Post not found');
         
         const html = await response.text();
@@ -159,6 +156,7 @@ function parsePostHTML(html, slug) {
     const date = extractDate(doc, slug);
     const category = extractCategory(doc);
     const tags = extractTags(doc);
+    const metaAuthor = doc.querySelector('meta[name="author"]');
     
     return {
         id: `post-${slug}`,
@@ -168,8 +166,8 @@ function parsePostHTML(html, slug) {
         date: date,
         category: category,
         tags: tags,
-        author: 'SilentCoderHub',
-        readTime: calculateReadTime(doc.body.textContent || ''),
+        author: (metaAuthor && metaAuthor.getAttribute('content').trim()) || BLOG_CONFIG.author,
+        readTime: calculateReadTime(doc.querySelector('.post-content') || doc.body),
         slug: slug
     };
 }
@@ -261,12 +259,21 @@ function extractTags(doc) {
     return ['Blog'];
 }
 
-// Calculate reading time
-function calculateReadTime(text) {
-    const wordsPerMinute = 200;
-    const words = text.split(/\s+/).length;
-    const minutes = Math.ceil(words / wordsPerMinute);
-    return `${minutes} min read`;
+// Calculate reading time from the article body, with the indexer's model
+// (lib/stats.js): prose at wordsPerMinute, code by the line, a look per image
+function calculateReadTime(contentEl) {
+    const codeLines = Array.from(contentEl.querySelectorAll('pre')).reduce((sum, pre) =>
+        sum + pre.textContent.split('\n').filter(line => line.trim().length > 0).length, 0);
+    
+    const prose = contentEl.cloneNode(true);
+    prose.querySelectorAll('pre, script, style, noscript, template').forEach(el => el.remove());
+    const words = (prose.textContent || '').split(/\s+/).filter(word => word.length > 0).length;
+    
+    let seconds = words / BLOG_CONFIG.wordsPerMinute * 60 + codeLines * 4;
+    for (let i = 0; i < contentEl.querySelectorAll('img').length; i++) {
+        seconds += Math.max(3, 12 - i);
+    }
+    return `${Math.max(1, Math.ceil(seconds / 60))} min read`;
 }
 
 // Sample posts data (fallback)
@@ -285,28 +292,28 @@ function getSamplePosts() {
             slug: 'what-exactly-is-a-computer'
         },
         {
-            id: 'post-sample-2',
-            title: 'Getting Started with Web Development',
-            excerpt: 'A comprehensive guide to beginning your journey in web development. Learn about HTML, CSS, JavaScript, and modern frameworks.',
+            id: 'post-ram-rom-cache-memory-explained',
+            title: 'RAM, ROM & Cache - What Sets Them Apart?',
+            excerpt: 'Curious about what really happens inside your computer? Let\'s dive into RAM, ROM, and Cache to see how each type of memory plays its own role in making computing possible.',
             content: '',
-            date: '2025-09-20',
-            category: 'Web Development',
-            tags: ['HTML', 'CSS', 'JavaScript', 'Frontend'],
+            date: '2025-09-21',
+            category: 'Computer Science',
+            tags: ['RAM', 'ROM', 'Cache', 'Computer Memory', 'Hardware', 'Computer Science'],
             author: 'SilentCoderHub',
-            readTime: '8 min read',
-            slug: 'getting-started-web-development'
+            readTime: '4 min read',
+            slug: 'ram-rom-cache-memory-explained'
         },
         {
-            id: 'post-sample-3',
-            title: 'Understanding JavaScript Closures',
-            excerpt: 'Dive deep into one of JavaScript\'s most powerful features. Learn how closures work and how to use them effectively in your code.',
+            id: 'post-input-vs-output-devices-explained',
+            title: 'Input vs Output Devices Explained: How Data Flows Between User and Machine',
+            excerpt: 'Delve into the fascinating relationship between input and output devices. See how they enable our interaction with computers one keystroke, one pixel at a time!',
             content: '',
-            date: '2025-09-18',
-            category: 'Programming',
-            tags: ['JavaScript', 'Programming Concepts', 'Functions'],
+            date: '2025-09-20',
+            category: 'Computer Hardware',
+            tags: ['Input Devices', 'Output Devices', 'Computer Hardware', 'I/O Devices', 'Technology Basics'],
             author: 'SilentCoderHub',
-            readTime: '10 min read',
-            slug: 'understanding-javascript-closures'
+            readTime: '6 min read',
+            slug: 'input-vs-output-devices-explained'
         }
     ];
 }
@@ -354,31 +361,100 @@ function createPostElement(post) {
     postDiv.innerHTML = `
         <div class="post-header">
             <div class="post-meta">
-                <span class="post-date">${formatDate(post.date)}</span>
+                <span class="post-date">${formatDate(post.date, post.lang)}</span>
                 <span><i class="fas fa-clock"></i> ${post.readTime}</span>
-                <span><i class="fas fa-user"></i> ${post.author}</span>
-                <a href="#" class="post-category">${post.category}</a>
+                <span><i class="fas fa-user"></i> ${renderAuthorLinks(post)}</span>
+                <a href="category/${slugify(post.category)}/" class="post-category">${post.category}</a>
             </div>
             <h2 class="post-title">
-                <a href="posts/${post.slug}.html"  rel="noopener">${post.title}</a>
+                <a href="${BLOG_CONFIG.postsDirectory}${post.slug}.html"  rel="noopener">${post.title}</a>
             </h2>
-            <p class="post-excerpt">${post.excerpt}</p>
+            ${post.snippet
+                ? `<p class="post-excerpt search-snippet">${post.snippet}</p>`
+                : `<p class="post-excerpt">${post.excerpt}</p>`}
         </div>
         <div class="post-footer">
-            <a href="posts/${post.slug}.html"  rel="noopener" class="read-more">
+            <a href="${BLOG_CONFIG.postsDirectory}${post.slug}.html"  rel="noopener" class="read-more">
                 Read More <i class="fas fa-arrow-right"></i>
             </a>
             <div class="post-tags">
-                ${post.tags.map(tag => `<a href="#" class="tag">${tag}</a>`).join('')}
+                ${post.tags.map(tag => `<a href="tag/${slugify(tag)}/" class="tag">${tag}</a>`).join('')}
             </div>
         </div>
     `;
     return postDiv;
 }
 
+// Language filter, shown once posts.json lists more than one language. The
+// lists then show the reader's chosen language ("" for all of them), which
+// is remembered across visits; the first visit follows the browser.
+const LANGUAGE_STORAGE_KEY = 'preferredLanguage';
+
+function setupLanguageFilter() {
+    indexPosts = allPosts;
+    
+    const codes = allLanguages.map(language => language.code);
+    const languageFilter = document.getElementById('languageFilter');
+    const languageSelect = document.getElementById('languageSelect');
+    if (codes.length < 2 || !languageFilter || !languageSelect) return;
+    
+    languageSelect.innerHTML = '<option value="">All languages</option>' + codes
+        .map(code => `<option value="${code}" lang="${code}">${languageName(code)}</option>`)
+        .join('');
+    languageSelect.value = getPreferredLanguage(codes);
+    languageFilter.style.display = '';
+    filterByLanguage(languageSelect.value);
+    
+    if (languageSelect.dataset.ready) return;
+    languageSelect.dataset.ready = 'true';
+    languageSelect.addEventListener('change', () => {
+        try {
+            localStorage.setItem(LANGUAGE_STORAGE_KEY, languageSelect.value);
+        } catch (error) {
+            // Storage unavailable (private mode); the choice lasts for this page
+        }
+        filterByLanguage(languageSelect.value);
+        currentPage = 0;
+        if (searchInput.value.trim()) {
+            handleSearch();
+        } else {
+            displayPosts();
+        }
+        updateSidebar();
+        updateStats();
+    });
+}
+
+// The stored choice, else the first browser language there are posts in,
+// else the site's default language
+function getPreferredLanguage(codes) {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch (error) {
+        // Storage unavailable
+    }
+    if (stored === '' || codes.includes(stored)) return stored;
+    
+    const browserLanguage = (navigator.languages || [navigator.language])
+        .map(code => String(code).toLowerCase())
+        .map(code => codes.find(available => available.toLowerCase() === code || available.toLowerCase() === code.split('-')[0]))
+        .find(Boolean);
+    if (browserLanguage) return browserLanguage;
+    
+    return codes.includes(BLOG_CONFIG.defaultLanguage) ? BLOG_CONFIG.defaultLanguage : '';
+}
+
+function filterByLanguage(language) {
+    allPosts = language
+        ? indexPosts.filter(post => (post.lang || BLOG_CONFIG.defaultLanguage) === language)
+        : indexPosts;
+}
+
 // Handle search functionality
-function handleSearch() {
+async function handleSearch() {
     const searchTerm = searchInput.value.toLowerCase().trim();
+    const searchId = ++latestSearch;
     
     if (searchTerm === '') {
         currentPage = 0;
@@ -386,12 +462,29 @@ function handleSearch() {
         return;
     }
     
-    const filteredPosts = allPosts.filter(post => 
-        post.title.toLowerCase().includes(searchTerm) ||
-        post.excerpt.toLowerCase().includes(searchTerm) ||
-        post.category.toLowerCase().includes(searchTerm) ||
-        post.tags.some(tag => tag.toLowerCase().includes(searchTerm))
-    );
+    let filteredPosts;
+    try {
+        if (!BLOG_CONFIG.search) throw new Error('Full-text search is disabled');
+        
+        // Ranked full-text results from search-index.json (fetched on first use)
+        const results = await SiteSearch.search(searchTerm);
+        if (searchId !== latestSearch) return; // A newer search has started
+        
+        const postsBySlug = new Map(allPosts.map(post => [post.slug, post]));
+        filteredPosts = results
+            .filter(result => postsBySlug.has(result.slug))
+            .map(result => ({ ...postsBySlug.get(result.slug), snippet: result.snippet }));
+    } catch (error) {
+        if (searchId !== latestSearch) return;
+        
+        // No search index: fall back to matching the post metadata
+        filteredPosts = allPosts.filter(post => 
+            post.title.toLowerCase().includes(searchTerm) ||
+            post.excerpt.toLowerCase().includes(searchTerm) ||
+            post.category.toLowerCase().includes(searchTerm) ||
+            post.tags.some(tag => tag.toLowerCase().includes(searchTerm))
+        );
+    }
     
     displayPosts(filteredPosts);
 }
@@ -429,6 +522,7 @@ function updateLoadMoreButton(posts) {
 function updateSidebar() {
     updateRecentPosts();
     updateCategories();
+    updateSeries();
     updateTags();
 }
 
@@ -439,8 +533,8 @@ function updateRecentPosts() {
     
     recentPostsList.innerHTML = recentPosts.map(post => `
         <li>
-            <a href="posts/${post.slug}.html"  rel="noopener">${post.title}</a>
-            <span class="recent-date">${formatDate(post.date)}</span>
+            <a href="${BLOG_CONFIG.postsDirectory}${post.slug}.html"  rel="noopener">${post.title}</a>
+            <span class="recent-date">${formatDate(post.date, post.lang)}</span>
         </li>
     `).join('');
 }
@@ -458,13 +552,34 @@ function updateCategories() {
         .sort((a, b) => b[1] - a[1]);
     
     categoryList.innerHTML = sortedCategories.map(([category, count]) => `
-        <a href="#" class="category-item">
+        <a href="category/${slugify(category)}/" class="category-item">
             <span>${category}</span>
             <span class="category-count">${count}</span>
         </a>
     `).join('');
 }
 
+// Update series overview in sidebar, markup matching renderSeriesOverview() in lib/build.js
+function updateSeries() {
+    const seriesWidget = document.getElementById('seriesWidget');
+    const seriesList = document.getElementById('seriesList');
+    if (!seriesWidget || !seriesList) return;
+    
+    seriesWidget.style.display = allSeries.length > 0 ? '' : 'none';
+    seriesList.innerHTML = allSeries.map(series => `
+        <div class="series-overview-item">
+            <h4>${series.name}</h4>
+            <ol class="series-parts">
+                ${series.posts
+                    .map(slug => allPosts.find(post => post.slug === slug))
+                    .filter(Boolean)
+                    .map(post => `<li><a href="${BLOG_CONFIG.postsDirectory}${post.slug}.html">${post.title}</a></li>`)
+                    .join('')}
+            </ol>
+        </div>
+    `).join('');
+}
+
 // Update tags in sidebar
 function updateTags() {
     const tagsList = document.getElementById('tagsList');
@@ -481,7 +596,7 @@ function updateTags() {
         .slice(0, BLOG_CONFIG.maxPopularTags);
     
     tagsList.innerHTML = sortedTags.map(([tag]) => `
-        <a href="#" class="tag">${tag}</a>
+        <a href="tag/${slugify(tag)}/" class="tag">${tag}</a>
     `).join('');
 }
 
@@ -566,15 +681,44 @@ function hideNoPostsMessage() {
 }
 
 // Utility Functions
-function formatDate(dateString) {
+function formatDate(dateString, locale = 'en-US') {
     const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
+    return date.toLocaleDateString(locale || 'en-US', {
         year: 'numeric',
         month: 'short',
         day: 'numeric'
     });
 }
 
+// A language's own name for itself, matching languageName() in lib/translations.js
+function languageName(code) {
+    try {
+        return new Intl.DisplayNames([code], { type: 'language' }).of(code) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+// URL slug of a category or tag, matching slugify() in lib/utils.js
+function slugify(value) {
+    return String(value)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .normalize('NFC')
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Author names linked to their author pages; co-authors are comma separated
+function renderAuthorLinks(post, prefix = '') {
+    const names = post.authors || String(post.author || '').split(',').map(name => name.trim()).filter(Boolean);
+    return names
+        .map(name => `<a href="${prefix}author/${slugify(name)}/" class="post-author-link">${name}</a>`)
+        .join(', ');
+}
+
 function debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -619,37 +763,240 @@ window.blogDebug = {
     displayedPosts: () => displayedPosts
 };
 
-// Detect if current page is inside /posts/ folder
-const pathPrefix = window.location.pathname.includes("/posts/") ? "../" : "";
-
-// Load header
-fetch(pathPrefix + "header.html")
-    .then(res => res.text())
-    .then(data => {
-        document.getElementById("header").innerHTML = data;
-
-        // ✅ Fix links if inside posts/
-        if (pathPrefix === "../") {
-            document.querySelectorAll('#header a').forEach(link => {
-                const href = link.getAttribute("href");
-                if (href && !href.startsWith("http") && !href.startsWith("#")) {
-                    link.setAttribute("href", pathPrefix + href);
-                }
-            });
-        }
+// Detect if current page is inside the posts folder
+const pathPrefix = window.location.pathname.includes(BLOG_CONFIG.postsDirectory.replace(/^\./, "")) ? "../" : "";
+
+// Wire up the header once it is on the page
+function setupHeader() {
+    // ✅ Hamburger toggle
+    const hamburger = document.querySelector('.hamburger');
+    const navLinks = document.querySelector('.nav-links');
+    if (hamburger && navLinks) {
+        hamburger.addEventListener('click', () => {
+            navLinks.classList.toggle('active');
+        });
+    }
+}
 
-        // ✅ Hamburger toggle
-        const hamburger = document.querySelector('.hamburger');
-        const navLinks = document.querySelector('.nav-links');
-        if (hamburger && navLinks) {
-            hamburger.addEventListener('click', () => {
-                navLinks.classList.toggle('active');
-            });
+const headerPlaceholder = document.getElementById("header");
+const footerPlaceholder = document.getElementById("footer");
+
+if (headerPlaceholder && headerPlaceholder.children.length > 0) {
+    // Header was inlined by the static build
+    setupHeader();
+} else if (headerPlaceholder) {
+    // Load header
+    fetch(pathPrefix + "header.html")
+        .then(res => res.text())
+        .then(data => {
+            headerPlaceholder.innerHTML = data;
+
+            // ✅ Fix links if inside posts/
+            if (pathPrefix === "../") {
+                document.querySelectorAll('#header a').forEach(link => {
+                    const href = link.getAttribute("href");
+                    if (href && !href.startsWith("http") && !href.startsWith("#")) {
+                        link.setAttribute("href", pathPrefix + href);
+                    }
+                });
+            }
+
+            setupHeader();
+        });
+}
+
+// Load footer unless the static build already inlined it
+if (footerPlaceholder && footerPlaceholder.children.length === 0) {
+    fetch(pathPrefix + "footer.html")
+        .then(res => res.text())
+        .then(data => footerPlaceholder.innerHTML = data);
+}
+
+// "Related reading" block markup, matching renderRelatedPosts() in lib/build.js
+function renderRelatedPosts(posts) {
+    return `
+        <section class="related-posts">
+            <h4>Related reading</h4>
+            <ul class="related-posts-list">
+                ${posts.map(post => `
+                <li>
+                    <a href="${post.slug}.html">${post.title}</a>
+                    <span class="related-meta">${post.category} · ${post.readTime}</span>
+                </li>`).join('')}
+            </ul>
+        </section>`;
+}
+
+// Table of contents markup, matching renderTableOfContents() in lib/build.js
+function renderTableOfContents(toc) {
+    return `
+            <nav class="post-toc" aria-label="Table of contents">
+                <button type="button" class="post-toc-toggle" aria-expanded="true">
+                    <i class="fas fa-list"></i> Contents <span class="post-toc-current"></span>
+                </button>
+                <ol class="post-toc-list">
+                    ${toc.map(entry => `
+                    <li class="toc-level-${entry.level}"><a href="#${entry.id}">${entry.text}</a></li>`).join('')}
+                </ol>
+            </nav>`;
+}
+
+// Collapse toggle and current-section highlighting for the table of contents
+function setupTableOfContents(toc) {
+    const toggle = toc.querySelector('.post-toc-toggle');
+    const current = toc.querySelector('.post-toc-current');
+    const links = Array.from(toc.querySelectorAll('.post-toc-list a'));
+    const headings = links
+        .map(link => document.getElementById(decodeURIComponent(link.getAttribute('href').slice(1))))
+        .filter(Boolean);
+    
+    const setCollapsed = collapsed => {
+        toc.classList.toggle('collapsed', collapsed);
+        toggle.setAttribute('aria-expanded', String(!collapsed));
+    };
+    
+    toggle.addEventListener('click', () => setCollapsed(!toc.classList.contains('collapsed')));
+    
+    // Get the list out of the way once the reader has picked a section
+    links.forEach(link => link.addEventListener('click', () => setCollapsed(true)));
+    
+    let ticking = false;
+    const highlightCurrentSection = () => {
+        ticking = false;
+        const offset = toc.getBoundingClientRect().height + 24;
+        const active = headings.filter(heading => heading.getBoundingClientRect().top <= offset).pop();
+        
+        links.forEach(link => {
+            link.classList.toggle('active', Boolean(active) && link.getAttribute('href') === `#${active.id}`);
+        });
+        current.textContent = active ? `· ${active.textContent.trim()}` : '';
+    };
+    
+    window.addEventListener('scroll', () => {
+        if (!ticking) {
+            ticking = true;
+            requestAnimationFrame(highlightCurrentSection);
         }
     });
+    highlightCurrentSection();
+}
+
+// Language switcher markup, matching renderLanguageSwitcher() in lib/build.js
+function renderLanguageSwitcher(post) {
+    const versions = [{ lang: post.lang, slug: post.slug }, ...post.translations]
+        .sort((a, b) => a.lang.localeCompare(b.lang));
+    return `
+                <nav class="language-switcher" aria-label="Languages">
+                    <i class="fas fa-language"></i>
+                    ${versions.map(version => version.slug === post.slug
+                        ? `<span class="language-current" lang="${version.lang}">${languageName(version.lang)}</span>`
+                        : `<a href="${version.slug}.html" hreflang="${version.lang}" lang="${version.lang}">${languageName(version.lang)}</a>`).join('')}
+                </nav>`;
+}
+
+// Series banner markup, matching renderSeriesBanner() in lib/build.js
+function renderSeriesBanner(position) {
+    return `
+            <nav class="series-banner" aria-label="Series navigation">
+                <div class="series-banner-title">
+                    <i class="fas fa-layer-group"></i> Part ${position.part} of ${position.total} in <strong>${position.name}</strong>
+                </div>
+                <div class="series-banner-links">
+                    ${position.prev ? `<a href="${position.prev.slug}.html" class="series-prev"><i class="fas fa-arrow-left"></i> ${position.prev.title}</a>` : '<span></span>'}
+                    ${position.next ? `<a href="${position.next.slug}.html" class="series-next">${position.next.title} <i class="fas fa-arrow-right"></i></a>` : ''}
+                </div>
+            </nav>`;
+}
+
+// Where a post sits in its series, matching seriesPosition() in lib/series.js
+function getSeriesPosition(slug, seriesList, posts) {
+    const series = seriesList.find(entry => entry.posts.includes(slug));
+    if (!series) return null;
+    
+    const index = series.posts.indexOf(slug);
+    const postFor = neighbour => posts.find(post => post.slug === neighbour) || null;
+    
+    return {
+        name: series.name,
+        part: index + 1,
+        total: series.posts.length,
+        prev: index > 0 ? postFor(series.posts[index - 1]) : null,
+        next: index < series.posts.length - 1 ? postFor(series.posts[index + 1]) : null
+    };
+}
 
-// Load footer
-fetch(pathPrefix + "footer.html")
-    .then(res => res.text())
-    .then(data => document.getElementById("footer").innerHTML = data);
+// Post pages: language switcher, series banner, table of contents and
+// related reading from posts.json, unless the static build already rendered them
+function setupPostPage() {
+    const postContent = document.querySelector('.post-content');
+    const postTagsSection = document.querySelector('.post-tags-section');
+    if (!postContent) return;
+    
+    // Point placeholder tag links at the generated tag pages
+    if (postTagsSection) {
+        postTagsSection.querySelectorAll('a.tag[href="#"]').forEach(link => {
+            link.setAttribute('href', `../tag/${slugify(link.textContent.trim())}/`);
+        });
+    }
+    
+    // Link the author line to the author pages
+    const authorIcon = document.querySelector('.post-meta-info .fa-user');
+    if (authorIcon && !authorIcon.parentElement.querySelector('a')) {
+        const author = authorIcon.parentElement.textContent.trim();
+        authorIcon.parentElement.innerHTML = `<i class="fas fa-user"></i> ${renderAuthorLinks({ author }, '../')}`;
+    }
+    
+    const postContainer = document.querySelector('.post-container');
+    if (postContainer && postContainer.hasAttribute('data-prerendered')) {
+        const toc = document.querySelector('.post-toc');
+        if (toc) setupTableOfContents(toc);
+        return;
+    }
+    
+    const currentSlug = window.location.pathname.split('/').pop().replace(/\.html$/, '');
+    
+    fetch('posts.json')
+        .then(res => res.json())
+        .then(data => {
+            const posts = data.posts || [];
+            const current = posts.find(post => post.slug === currentSlug);
+            if (!current) return;
+            
+            const postHeader = document.querySelector('.post-header-content');
+            if (postHeader && (current.translations || []).length > 0) {
+                postHeader.insertAdjacentHTML('beforeend', renderLanguageSwitcher(current));
+            }
+            
+            const position = getSeriesPosition(currentSlug, data.series || [], posts);
+            if (position && postHeader) {
+                postHeader.insertAdjacentHTML('afterend', renderSeriesBanner(position));
+            }
+            
+            // Headings get the ids the indexer assigned (see lib/toc.js)
+            const toc = current.toc || [];
+            const headings = postContent.querySelectorAll('h2, h3');
+            toc.forEach((entry, i) => {
+                if (headings[i] && !headings[i].id) headings[i].id = entry.id;
+            });
+            
+            if (toc.length > 1) {
+                postContent.insertAdjacentHTML('beforebegin', renderTableOfContents(toc));
+                setupTableOfContents(document.querySelector('.post-toc'));
+            }
+            
+            // Deep links could not resolve before the ids existed
+            const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+            if (target) target.scrollIntoView();
+            
+            const related = (current.related || [])
+                .map(slug => posts.find(post => post.slug === slug))
+                .filter(Boolean);
+            
+            if (postTagsSection && related.length > 0) {
+                postTagsSection.insertAdjacentHTML('afterend', renderRelatedPosts(related));
+            }
+        })
+        .catch(error => console.log('Post index unavailable:', error));
+}
 
+setupPostPage();
@@ -0,0 +1,344 @@
+/**
+ * Full-text search for SilentCoderHub
+ *
+ * The indexer builds search-index.json from every post with the same
+ * tokenizer and stemmer the home and archive pages use to query it, so this
+ * file is loaded both by Node (require) and by the browser (window.SiteSearch).
+ * The index is only fetched the first time someone searches.
+ */
+(function (root) {
+    // Bump when the index format or the text analysis changes
+    const INDEX_VERSION = 4;
+    const INDEX_URL = 'search-index.json';
+
+    // How much an occurrence in each field counts towards a post's score
+    const FIELD_BOOSTS = {
+        title: 10,
+        tags: 5,
+        category: 3,
+        excerpt: 2,
+        content: 1
+    };
+
+    const STOP_WORDS = new Set([
+        'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+        'be', 'because', 'been', 'but', 'by', 'can', 'could', 'do', 'does', 'each',
+        'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if',
+        'in', 'into', 'is', 'it', 'its', 'just', 'let', 'like', 'may', 'more', 'most',
+        'much', 'no', 'not', 'of', 'on', 'one', 'only', 'or', 'other', 'our', 's',
+        'she', 'so', 'some', 'such', 't', 'than', 'that', 'the', 'their', 'them',
+        'then', 'there', 'these', 'they', 'this', 'those', 'to', 'up', 'us', 'very',
+        'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why',
+        'will', 'with', 'would', 'you', 'your'
+    ]);
+
+    // Snippet length in characters
+    const SNIPPET_LENGTH = 180;
+
+    // Characters of each post's text kept in the index for snippets of matches outside the excerpt
+    const SAMPLE_LENGTH = 1000;
+
+    // Porter stemmer (https://tartarus.org/martin/PorterStemmer/)
+    const STEP2 = {
+        ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+        alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+        ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous',
+        aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+    };
+    const STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+    const consonant = '[^aeiou]';
+    const vowel = '[aeiouy]';
+    const consonants = consonant + '[^aeiouy]*';
+    const vowels = vowel + '[aeiou]*';
+    const measureAbove0 = new RegExp(`^(${consonants})?${vowels}${consonants}`);
+    const measureIs1 = new RegExp(`^(${consonants})?${vowels}${consonants}(${vowels})?$`);
+    const measureAbove1 = new RegExp(`^(${consonants})?${vowels}${consonants}${vowels}${consonants}`);
+    const hasVowel = new RegExp(`^(${consonants})?${vowel}`);
+    const endsCvc = new RegExp(`^${consonants}${vowel}[^aeiouwxy]$`);
+
+    function stem(word) {
+        // Only English words; numbers and other scripts are indexed as they are
+        if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+        let w = word;
+        const startsWithY = w[0] === 'y';
+        if (startsWithY) w = 'Y' + w.slice(1);
+
+        // Step 1a: plurals
+        if (/^(.+?)(ss|i)es$/.test(w)) {
+            w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+        } else if (/^(.+?)([^s])s$/.test(w)) {
+            w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+        }
+
+        // Step 1b: -eed, -ed, -ing
+        let match;
+        if ((match = /^(.+?)eed$/.exec(w))) {
+            if (measureAbove0.test(match[1])) w = w.slice(0, -1);
+        } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && hasVowel.test(match[1])) {
+            w = match[1];
+            if (/(at|bl|iz)$/.test(w)) {
+                w += 'e';
+            } else if (/([^aeiouylsz])\1$/.test(w)) {
+                w = w.slice(0, -1);
+            } else if (endsCvc.test(w)) {
+                w += 'e';
+            }
+        }
+
+        // Step 1c: -y
+        if ((match = /^(.+?)y$/.exec(w)) && hasVowel.test(match[1])) {
+            w = match[1] + 'i';
+        }
+
+        // Step 2 and 3: double and single suffixes
+        if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))
+            && measureAbove0.test(match[1])) {
+            w = match[1] + STEP2[match[2]];
+        }
+        if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && measureAbove0.test(match[1])) {
+            w = match[1] + STEP3[match[2]];
+        }
+
+        // Step 4: remaining suffixes
+        if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+            if (measureAbove1.test(match[1])) w = match[1];
+        } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+            if (measureAbove1.test(match[1] + match[2])) w = match[1] + match[2];
+        }
+
+        // Step 5: final -e and -ll
+        if ((match = /^(.+?)e$/.exec(w))) {
+            const base = match[1];
+            if (measureAbove1.test(base) || (measureIs1.test(base) && !endsCvc.test(base))) w = base;
+        }
+        if (/ll$/.test(w) && measureAbove1.test(w)) {
+            w = w.slice(0, -1);
+        }
+
+        return startsWithY ? 'y' + w.slice(1) : w;
+    }
+
+    /**
+     * Lower-cased words of `text` in any script, with accents removed from
+     * Latin letters (vowel signs of other scripts are part of the word)
+     */
+    function tokenize(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .normalize('NFC')
+            .toLowerCase()
+            .match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+    }
+
+    /**
+     * Index terms of `text`: tokens minus stop words, stemmed
+     */
+    function analyze(text) {
+        return tokenize(text)
+            .filter(token => !STOP_WORDS.has(token))
+            .map(stem);
+    }
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Excerpt of `text` around the first matching word, with every
+     * matching word wrapped in <mark>. Returns HTML.
+     */
+    function highlight(text, isMatch) {
+        const words = [];
+        const wordPattern = /[\p{L}\p{M}\p{N}]+/gu;
+        let found;
+        while ((found = wordPattern.exec(text))) {
+            words.push({ start: found.index, end: found.index + found[0].length, match: isMatch(found[0]) });
+        }
+
+        const first = words.find(word => word.match);
+        let start = first ? Math.max(0, first.start - Math.floor(SNIPPET_LENGTH / 3)) : 0;
+        let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+        // Snap the window to word boundaries
+        const startWord = words.find(word => word.end > start);
+        if (start > 0 && startWord) start = startWord.start;
+        const endWord = words.filter(word => word.start < end).pop();
+        if (end < text.length && endWord && endWord.end > end) end = endWord.start;
+
+        let html = start > 0 ? '…' : '';
+        let position = start;
+        words
+            .filter(word => word.match && word.start >= start && word.end <= end)
+            .forEach(word => {
+                html += escapeHtml(text.slice(position, word.start)) + `<mark>${escapeHtml(text.slice(word.start, word.end))}</mark>`;
+                position = word.end;
+            });
+        html += escapeHtml(text.slice(position, end)) + (end < text.length ? '…' : '');
+        return html.trim();
+    }
+
+    /**
+     * The start of `text`, cut at a word boundary after at most `length` characters
+     */
+    function sampleText(text, length) {
+        const value = String(text || '').replace(/\s+/g, ' ').trim();
+        if (value.length <= length) return value;
+        const cut = value.lastIndexOf(' ', length);
+        return value.slice(0, cut > 0 ? cut : length);
+    }
+
+    /**
+     * Build the index from documents shaped like
+     * { slug, title, tags, category, excerpt, content } where content is plain text.
+     * Only the slug, title, excerpt and the start of the content (`sample`) are
+     * kept per post, for showing results.
+     */
+    function buildIndex(documents) {
+        const terms = {};
+
+        documents.forEach((doc, docIndex) => {
+            const weights = {};
+            Object.entries(FIELD_BOOSTS).forEach(([field, boost]) => {
+                const value = Array.isArray(doc[field]) ? doc[field].join(' ') : doc[field];
+                analyze(value).forEach(term => {
+                    weights[term] = (weights[term] || 0) + boost;
+                });
+            });
+
+            // Postings are flat [docIndex, weight, docIndex, weight, ...] lists
+            Object.keys(weights).sort().forEach(term => {
+                (terms[term] = terms[term] || []).push(docIndex, weights[term]);
+            });
+        });
+
+        const sortedTerms = {};
+        Object.keys(terms).sort().forEach(term => { sortedTerms[term] = terms[term]; });
+
+        return {
+            version: INDEX_VERSION,
+            docs: documents.map(doc => ({
+                slug: doc.slug,
+                title: doc.title,
+                excerpt: doc.excerpt,
+                sample: sampleText(doc.content, SAMPLE_LENGTH)
+            })),
+            terms: sortedTerms
+        };
+    }
+
+    /**
+     * Rank the index's posts against `query`. The last query word also
+     * matches as a prefix so results show up while typing.
+     * Returns [{ slug, title, score, snippet }] best first; the snippet is
+     * taken from the excerpt, or from the post's text when only that matches,
+     * with the matching words marked.
+     */
+    function searchIndex(index, query) {
+        const tokens = tokenize(query).filter(token => !STOP_WORDS.has(token));
+        if (tokens.length === 0) return [];
+
+        const docCount = index.docs.length;
+        const scores = new Map();
+        const matchedTerms = new Map();
+
+        const addPostings = (term, queryIndex, factor) => {
+            const postings = index.terms[term];
+            const idf = Math.log(1 + docCount / (postings.length / 2));
+            for (let i = 0; i < postings.length; i += 2) {
+                const docIndex = postings[i];
+                scores.set(docIndex, (scores.get(docIndex) || 0) + factor * idf * (1 + Math.log(postings[i + 1])));
+                if (!matchedTerms.has(docIndex)) matchedTerms.set(docIndex, new Set());
+                matchedTerms.get(docIndex).add(queryIndex);
+            }
+        };
+
+        const stems = tokens.map(stem);
+        const last = tokens.length - 1;
+        stems.forEach((term, queryIndex) => {
+            if (index.terms[term]) {
+                addPostings(term, queryIndex, 1);
+            }
+            // Single letters would match half the vocabulary
+            if (queryIndex === last && tokens[last].length > 1) {
+                Object.keys(index.terms)
+                    .filter(candidate => candidate !== term && candidate.startsWith(tokens[last]))
+                    .forEach(candidate => addPostings(candidate, queryIndex, 0.5));
+            }
+        });
+
+        const stemSet = new Set(stems);
+        const isMatch = word => {
+            const token = tokenize(word)[0] || '';
+            return stemSet.has(stem(token)) || (tokens[last].length > 1 && token.startsWith(tokens[last]));
+        };
+        const hasMatch = text => (String(text || '').match(/[\p{L}\p{M}\p{N}]+/gu) || []).some(isMatch);
+        const snippetText = doc => (!hasMatch(doc.excerpt) && hasMatch(doc.sample) ? doc.sample : doc.excerpt || '');
+
+        return Array.from(scores.entries())
+            // Posts matching more of the query words rank first
+            .map(([docIndex, score]) => ({ docIndex, score: score * matchedTerms.get(docIndex).size / tokens.length }))
+            .sort((a, b) => b.score - a.score)
+            .map(({ docIndex, score }) => ({
+                slug: index.docs[docIndex].slug,
+                title: index.docs[docIndex].title,
+                score,
+                snippet: highlight(snippetText(index.docs[docIndex]), isMatch)
+            }));
+    }
+
+    let indexPromise = null;
+
+    /**
+     * Fetch the index once; a failed fetch is retried on the next search
+     */
+    function loadIndex(url = INDEX_URL) {
+        if (!indexPromise) {
+            indexPromise = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Search index not available (${response.status})`);
+                    return response.json();
+                })
+                .then(index => {
+                    if (index.version !== INDEX_VERSION) throw new Error('Search index is out of date');
+                    return index;
+                })
+                .catch(error => {
+                    indexPromise = null;
+                    throw error;
+                });
+        }
+        return indexPromise;
+    }
+
+    /**
+     * Search the site; rejects when the index cannot be loaded
+     */
+    async function search(query, url) {
+        return searchIndex(await loadIndex(url), query);
+    }
+
+    const SiteSearch = {
+        INDEX_VERSION,
+        FIELD_BOOSTS,
+        tokenize,
+        analyze,
+        stem,
+        buildIndex,
+        searchIndex,
+        loadIndex,
+        search
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = SiteSearch;
+    } else {
+        root.SiteSearch = SiteSearch;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,13 @@
+// Generated by generate-posts-index.js from site.config.json, do not edit.
+window.SITE_CONFIG = {
+    "siteTitle": "SilentCoderHub Blog",
+    "siteUrl": "https://sridharchinthaparthi.github.io/silentcoderhub",
+    "author": "SilentCoderHub",
+    "defaultLanguage": "en",
+    "postsDirectory": "./posts/",
+    "postsPerPage": 5,
+    "wordsPerMinute": 200,
+    "maxRecentPosts": 5,
+    "maxPopularTags": 10,
+    "search": true
+};
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { minifyJs } = require('../lib/assets');
+
+/**
+ * Minify a function body and run it both ways with the same arguments
+ */
+function runBoth(params, body, ...args) {
+    const minified = minifyJs(body);
+    return {
+        minified,
+        original: new Function(params, body)(...args),
+        result: new Function(params, minified)(...args)
+    };
+}
+
+test('minifyJs keeps the space between unary and binary + / -', () => {
+    const plus = runBoth('a, b', 'return a + +b;', 1, '2');
+    assert.strictEqual(plus.minified, 'return a+ +b;\n');
+    assert.strictEqual(plus.result, plus.original);
+
+    const minus = runBoth('a, b', 'return a - -b;', 1, 2);
+    assert.strictEqual(minus.minified, 'return a- -b;\n');
+    assert.strictEqual(minus.result, 3);
+});
+
+test('minifyJs reads a slash after return as a regex', () => {
+    const body = 'if (s) {\n    return /re/.test(s);\n}\nreturn 4 / 2 / 1;';
+    assert.strictEqual(minifyJs(body), 'if(s){\nreturn/re/.test(s);\n}\nreturn 4/2/1;\n');
+    assert.strictEqual(new Function('s', minifyJs(body))('tree'), true);
+    assert.strictEqual(new Function('s', minifyJs(body))(''), 2);
+});
+
+test('minifyJs drops the spaces tokens don\'t need', () => {
+    const source = [
+        'const total = items.reduce((sum, item) => sum + item.price, 0); // in cents',
+        'const label = `Total: ${ total / 100 } ${ "EUR" }`;',
+        'if (typeof total === "number" && total > 0) { return label; }'
+    ].join('\n');
+
+    assert.strictEqual(minifyJs(source), [
+        'const total=items.reduce((sum,item)=>sum+item.price,0);',
+        'const label=`Total: ${total/100} ${"EUR"}`;',
+        'if(typeof total==="number"&&total>0){return label;}',
+        ''
+    ].join('\n'));
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { splitAuthors, loadAuthors, resolveAuthors, renderAuthorLinks } = require('../lib/authors');
+
+test('co-authors resolve to the registry\'s spelling, unknown names are reported', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'authors-'));
+    try {
+        const file = path.join(dir, 'authors.json');
+        fs.writeFileSync(file, JSON.stringify({ authors: [{ name: 'Ada Lovelace' }, { name: 'SilentCoderHub' }] }));
+        const registry = loadAuthors(file);
+
+        const names = splitAuthors('ada lovelace, Alan Turing ,SilentCoderHub, Ada Lovelace');
+        assert.deepStrictEqual(resolveAuthors(names, registry), {
+            names: ['Ada Lovelace', 'Alan Turing', 'SilentCoderHub'],
+            unknown: ['Alan Turing']
+        });
+        assert.strictEqual(loadAuthors(path.join(dir, 'missing.json')).size, 0);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('author names link to their pages', () => {
+    assert.strictEqual(
+        renderAuthorLinks(['Ada Lovelace', 'Alan Turing'], '../'),
+        '<a href="../author/ada-lovelace/" class="post-author-link">Ada Lovelace</a>, ' +
+            '<a href="../author/alan-turing/" class="post-author-link">Alan Turing</a>'
+    );
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { copySite, removeSite } = require('./helpers');
+
+test('builds a site whose posts live in another postsDir', async () => {
+    const siteDir = copySite();
+    try {
+        fs.renameSync(path.join(siteDir, 'posts'), path.join(siteDir, 'articles'));
+        const { createIndexer } = require(path.join(siteDir, 'generate-posts-index'));
+        const indexer = createIndexer({ overrides: { postsDir: 'articles' } });
+
+        assert.strictEqual(await indexer.checkSiteLinks(), 0);
+
+        const dist = path.join(siteDir, 'dist');
+        assert.ok(fs.existsSync(path.join(dist, 'articles', 'what-exactly-is-a-computer.html')));
+        assert.ok(!fs.existsSync(path.join(dist, 'posts')));
+        assert.match(fs.readFileSync(path.join(dist, 'index.html'), 'utf8'), /href="articles\/what-exactly-is-a-computer\.html"/);
+        assert.match(fs.readFileSync(path.join(dist, 'sitemap.xml'), 'utf8'), /\/articles\/what-exactly-is-a-computer\.html<\/loc>/);
+        assert.match(fs.readFileSync(path.join(dist, 'feed.json'), 'utf8'), /\/articles\/what-exactly-is-a-computer\.html"/);
+    } finally {
+        removeSite(siteDir);
+    }
+});
+
+test('leaves drafts and future-dated posts out of the build', async () => {
+    const siteDir = copySite();
+    try {
+        const { createIndexer } = require(path.join(siteDir, 'generate-posts-index'));
+        const { scaffoldPost } = require(path.join(siteDir, 'lib', 'scaffold'));
+        const indexer = createIndexer();
+
+        const post = { description: 'Not ready yet.', category: 'Computer Basics', tags: ['Basics'] };
+        await scaffoldPost({ ...post, title: 'A Draft Post', date: '2025-10-01', draft: true }, indexer.config);
+        await scaffoldPost({ ...post, title: 'A Future Post', date: '2999-01-01' }, indexer.config);
+
+        const indexData = await indexer.build();
+        assert.ok(!indexData.posts.some(entry => ['a-draft-post', 'a-future-post'].includes(entry.slug)));
+
+        const postsOut = path.join(siteDir, 'dist', 'posts');
+        assert.ok(fs.existsSync(path.join(postsOut, 'what-exactly-is-a-computer.html')));
+        assert.ok(!fs.existsSync(path.join(postsOut, 'a-draft-post.html')));
+        assert.ok(!fs.existsSync(path.join(postsOut, 'a-future-post.html')));
+    } finally {
+        removeSite(siteDir);
+    }
+});
+
+test('`build` exits with 1 when a page fails to build', () => {
+    const siteDir = copySite();
+    try {
+        // Indexes a post under a slug that has no page behind it
+        fs.writeFileSync(path.join(siteDir, 'renaming-plugin.js'), `module.exports = {
+    name: 'renaming',
+    transformPost: post => post.slug === 'what-exactly-is-a-computer' ? { ...post, slug: 'no-such-post' } : post
+};
+`);
+        fs.writeFileSync(path.join(siteDir, 'renaming.config.json'), JSON.stringify({ plugins: ['./renaming-plugin.js'] }));
+
+        const run = spawnSync(process.execPath, ['generate-posts-index.js', 'build', '--config', 'renaming.config.json'], {
+            cwd: siteDir,
+            encoding: 'utf8',
+            timeout: 120000
+        });
+        assert.match(run.stderr, /Error building posts\/no-such-post\.html/);
+        assert.strictEqual(run.status, 1);
+    } finally {
+        removeSite(siteDir);
+    }
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { copySite, removeSite } = require('./helpers');
+
+/**
+ * Run the indexer and return its "🔁 Changes: ..." line
+ */
+async function changesLine(t, indexer) {
+    const log = t.mock.method(console, 'log', () => {});
+    try {
+        await indexer.generatePostsIndex();
+    } finally {
+        log.mock.restore();
+    }
+    return log.mock.calls.map(call => String(call.arguments[0])).find(line => line.startsWith('🔁 Changes'));
+}
+
+test('the parse cache survives output-only options but not parse settings', async t => {
+    const siteDir = copySite();
+    try {
+        const { createIndexer } = require(path.join(siteDir, 'generate-posts-index'));
+        const overrides = { features: { feeds: false, sitemap: false, search: false, socialCards: false } };
+
+        assert.match(await changesLine(t, createIndexer({ overrides })), /^🔁 Changes: [1-9]\d* added, 0 changed/);
+
+        const withoutListings = { ...overrides, postsPerPage: 2, features: { ...overrides.features, relatedPosts: false } };
+        assert.match(await changesLine(t, createIndexer({ overrides: withoutListings })), /0 added, 0 changed, 0 removed, [1-9]\d* unchanged/);
+
+        const slowerReaders = { ...overrides, wordsPerMinute: 100 };
+        assert.match(await changesLine(t, createIndexer({ overrides: slowerReaders })), /^🔁 Changes: [1-9]\d* added, 0 changed/);
+    } finally {
+        removeSite(siteDir);
+    }
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { copySite, removeSite } = require('./helpers');
+
+test('--check reports a post that throws and exits with 1', () => {
+    const siteDir = copySite();
+    try {
+        // Only the post the plugin chokes on, so it is the only failure
+        ['input-vs-output-devices-explained', 'primary-vs-secondary-storage-explained', 'ram-rom-cache-memory-explained']
+            .forEach(slug => fs.rmSync(path.join(siteDir, 'posts', `${slug}.html`)));
+        fs.writeFileSync(path.join(siteDir, 'broken-plugin.js'), `module.exports = {
+    name: 'broken',
+    extractMetadata: ({ file }) => {
+        if (file === 'what-exactly-is-a-computer.html') throw new Error('no metadata here');
+        return {};
+    }
+};
+`);
+        fs.writeFileSync(path.join(siteDir, 'broken.config.json'), JSON.stringify({ plugins: ['./broken-plugin.js'] }));
+
+        const run = spawnSync(process.execPath, ['generate-posts-index.js', '--check', '--config', 'broken.config.json'], {
+            cwd: siteDir,
+            encoding: 'utf8',
+            timeout: 120000
+        });
+        assert.match(run.stdout, /what-exactly-is-a-computer\.html\n\s+❌ could not be checked: Plugin "broken" failed in extractMetadata: no metadata here/);
+        assert.match(run.stdout, /Checked 1 posts: 1 errors/);
+        assert.strictEqual(run.status, 1);
+    } finally {
+        removeSite(siteDir);
+    }
+});
@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+test('siteUrl must be an absolute http(s) URL', () => {
+    assert.throws(() => loadConfig(ROOT_DIR, { overrides: { siteUrl: 'example.com' } }), /siteUrl must be an absolute http\(s\) URL/);
+    assert.throws(() => loadConfig(ROOT_DIR, { overrides: { siteUrl: 'ftp://example.com' } }), /siteUrl must be an absolute http\(s\) URL/);
+    assert.strictEqual(loadConfig(ROOT_DIR, { overrides: { siteUrl: 'https://example.com/blog' } }).siteUrl, 'https://example.com/blog');
+});
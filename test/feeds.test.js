@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateFeeds } = require('../lib/feeds');
+
+const POST = {
+    slug: 'computer-te',
+    title: 'కంప్యూటర్ అంటే ఏమిటి?',
+    date: '2025-10-01',
+    author: 'SilentCoderHub',
+    category: 'Computer Basics',
+    tags: ['Basics'],
+    excerpt: 'కంప్యూటర్ పరిచయం.',
+    lang: 'te'
+};
+
+test('feeds are labelled with the site language and each post\'s own', () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feeds-'));
+    try {
+        generateFeeds({ posts: [POST], categories: [] }, {}, {
+            siteUrl: 'https://example.com',
+            siteTitle: 'Example',
+            siteDescription: 'An example blog',
+            defaultLanguage: 'hi',
+            outputDir
+        });
+
+        const read = file => fs.readFileSync(path.join(outputDir, file), 'utf8');
+        assert.match(read('feed.xml'), /<language>hi<\/language>/);
+        assert.match(read('atom.xml'), /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom" xml:lang="hi">/);
+        assert.match(read('atom.xml'), /<entry xml:lang="te">/);
+
+        const jsonFeed = JSON.parse(read('feed.json'));
+        assert.strictEqual(jsonFeed.language, 'hi');
+        assert.strictEqual(jsonFeed.items[0].language, 'te');
+        assert.strictEqual(jsonFeed.items[0].url, 'https://example.com/posts/computer-te.html');
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+});
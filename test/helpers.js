@@ -0,0 +1,36 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Left out of the copy: tooling, tests and anything a previous run generated
+const SKIPPED = new Set([
+    '.git', 'node_modules', 'test', 'dist', '.cache', 'feeds', 'category', 'tag', 'archive', 'author', 'og',
+    'feed.xml', 'atom.xml', 'feed.json', 'sitemap.xml', 'robots.txt', 'search-index.json'
+]);
+
+/**
+ * Copy the site sources into a temporary directory (sharing node_modules),
+ * so a test can index and build without touching the working tree.
+ * Returns the copy's directory; remove it with removeSite().
+ */
+function copySite() {
+    const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+
+    fs.readdirSync(ROOT_DIR)
+        .filter(name => !SKIPPED.has(name))
+        .forEach(name => fs.cpSync(path.join(ROOT_DIR, name), path.join(siteDir, name), { recursive: true }));
+    fs.symlinkSync(path.join(ROOT_DIR, 'node_modules'), path.join(siteDir, 'node_modules'), 'dir');
+
+    return siteDir;
+}
+
+function removeSite(siteDir) {
+    fs.rmSync(siteDir, { recursive: true, force: true });
+}
+
+module.exports = {
+    copySite,
+    removeSite
+};
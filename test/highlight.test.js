@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderCodeBlock } = require('../lib/highlight');
+
+test('highlighted line ranges stop at the end of the block', () => {
+    const html = renderCodeBlock('const a = 1;\nconst b = 2;\nconst c = 3;\n', { language: 'js', highlight: '2-100000000,9' });
+
+    assert.strictEqual(html.match(/class="code-line highlighted"/g).length, 2);
+    assert.doesNotMatch(html.split('\n')[0], /highlighted/);
+});
+
+test('an unclosed tag with many attributes is highlighted without hanging', () => {
+    const source = '<div ' + 'a="x" '.repeat(40) + 'b';
+    const started = Date.now();
+    const html = renderCodeBlock(source, { language: 'html' });
+
+    assert.ok(Date.now() - started < 1000);
+    assert.match(html, /a=/);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateListingPages } = require('../lib/listings');
+
+const OPTIONS = { siteUrl: 'https://example.com', siteTitle: 'Example', postsPerPage: 2 };
+
+function post(slug, date, category, tags) {
+    return {
+        slug,
+        title: slug,
+        excerpt: `About ${slug}`,
+        date,
+        category,
+        tags,
+        author: 'SilentCoderHub',
+        authors: ['SilentCoderHub'],
+        readTime: '1 min read',
+        lastModified: `${date}T00:00:00.000Z`
+    };
+}
+
+/**
+ * Run generateListingPages() into a temporary directory
+ */
+function withOutputDir(callback) {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listings-'));
+    try {
+        return callback(outputDir);
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+}
+
+test('names that share a slug fail instead of overwriting each other\'s page', () => {
+    const posts = [post('pointers', '2025-09-01', 'C++', ['Memory']), post('delegates', '2025-09-02', 'C#', ['Memory'])];
+
+    withOutputDir(outputDir => {
+        assert.throws(
+            () => generateListingPages({ posts }, { ...OPTIONS, outputDir }),
+            /"C#" and "C\+\+" would both be listed at category\/c\/; rename one of them/
+        );
+    });
+});
+
+test('writes paginated category, tag, year and author pages', t => {
+    t.mock.method(console, 'log', () => {});
+    const posts = [
+        post('ram-explained', '2025-09-03', 'Computer Hardware', ['Memory']),
+        post('cache-explained', '2025-09-02', 'Computer Hardware', ['Memory']),
+        post('ssd-explained', '2024-09-01', 'Computer Hardware', ['Storage'])
+    ];
+
+    withOutputDir(outputDir => {
+        const written = generateListingPages({ posts }, { ...OPTIONS, outputDir });
+        assert.deepStrictEqual(written.map(page => page.path), [
+            'category/computer-hardware/',
+            'category/computer-hardware/page/2/',
+            'tag/memory/',
+            'tag/storage/',
+            'archive/2025/',
+            'archive/2024/',
+            'author/silentcoderhub/',
+            'author/silentcoderhub/page/2/'
+        ]);
+
+        const firstPage = fs.readFileSync(path.join(outputDir, 'category', 'computer-hardware', 'index.html'), 'utf8');
+        assert.match(firstPage, /href="\.\.\/\.\.\/posts\/ram-explained\.html"/);
+        assert.match(firstPage, /href="\.\.\/\.\.\/posts\/cache-explained\.html"/);
+        assert.doesNotMatch(firstPage, /ssd-explained/);
+        assert.match(firstPage, /<link rel="next" href="\.\.\/\.\.\/category\/computer-hardware\/page\/2\/">/);
+
+        const secondPage = fs.readFileSync(path.join(outputDir, 'category', 'computer-hardware', 'page', '2', 'index.html'), 'utf8');
+        assert.match(secondPage, /ssd-explained\.html/);
+        assert.strictEqual(written.find(page => page.path === 'tag/memory/').lastModified, '2025-09-03T00:00:00.000Z');
+    });
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFrontMatter, renderMarkdownPost, compileMarkdownPost } = require('../lib/markdown');
+const { DEFAULTS } = require('../lib/config');
+
+const SOURCE = `---
+title: Hello Markdown
+date: 2025-10-01
+category: Testing
+tags: [One, Two]
+---
+
+First paragraph of the post.
+
+## A heading
+
+\`\`\`js {2}
+const a = 1;
+const b = 2;
+\`\`\`
+`;
+
+test('renders a Markdown post into the post layout', () => {
+    const html = renderMarkdownPost(SOURCE, path.join('posts', 'hello-markdown.md'), DEFAULTS);
+
+    assert.match(html, /<title>Hello Markdown - SilentCoderHub<\/title>/);
+    assert.match(html, /<meta name="keywords" content="One, Two">/);
+    assert.match(html, /<meta name="description" content="First paragraph of the post.">/);
+    assert.match(html, /<h2 id="a-heading">A heading<\/h2>/);
+    assert.match(html, /<pre data-highlight="2"><code class="language-js">/);
+    assert.match(html, /<meta property="og:url" content="https:\/\/sridharchinthaparthi\.github\.io\/silentcoderhub\/posts\/hello-markdown\.html">/);
+    assert.doesNotMatch(html, /\{\{\w+\}\}/);
+});
+
+test('a blank front matter value counts as absent', () => {
+    const { data } = parseFrontMatter('---\ntitle: Blank\ndescription:\ntags:\n  - One\n---\nBody\n');
+    assert.deepStrictEqual(data, { title: 'Blank', tags: ['One'] });
+
+    const html = renderMarkdownPost(SOURCE.replace('category: Testing', 'description:'), 'hello-markdown.md', DEFAULTS);
+    assert.match(html, /<meta name="description" content="First paragraph of the post.">/);
+});
+
+test('compiling never overwrites a hand-written HTML post', () => {
+    const postsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'posts-'));
+    try {
+        const markdownPath = path.join(postsDir, 'hello-markdown.md');
+        fs.writeFileSync(markdownPath, SOURCE);
+
+        assert.strictEqual(compileMarkdownPost(markdownPath, DEFAULTS), true);
+        assert.strictEqual(compileMarkdownPost(markdownPath, DEFAULTS), false);
+
+        const htmlPath = path.join(postsDir, 'hello-markdown.html');
+        fs.writeFileSync(htmlPath, '<html><body>Written by hand</body></html>');
+        assert.throws(() => compileMarkdownPost(markdownPath, DEFAULTS), /hello-markdown\.html is a hand-written post/);
+        assert.strictEqual(fs.readFileSync(htmlPath, 'utf8'), '<html><body>Written by hand</body></html>');
+    } finally {
+        fs.rmSync(postsDir, { recursive: true, force: true });
+    }
+});
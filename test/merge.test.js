@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeIndex } = require('../lib/merge');
+
+test('mergeIndex adds new tags to the vocabulary and reports every post using them', () => {
+    const existing = { posts: [], categories: [], tags: ['Hardware', 'Storage'] };
+    const generated = {
+        posts: [
+            { slug: 'ssd-basics', date: '2025-09-01', tags: ['Storage', 'Hardwear'] },
+            { slug: 'cpu-basics', date: '2025-09-02', tags: ['Hardwear'] },
+            { slug: 'ram-basics', date: '2025-09-03', tags: ['Hardware'] }
+        ],
+        categories: [],
+        tags: [{ name: 'Hardware', count: 1 }, { name: 'Hardwear', count: 2 }, { name: 'Storage', count: 1 }]
+    };
+
+    const { index, report } = mergeIndex(existing, generated);
+    assert.deepStrictEqual(index.tags, ['Hardware', 'Storage', 'Hardwear']);
+    assert.deepStrictEqual(report.newTags, [{ name: 'Hardwear', posts: ['cpu-basics', 'ssd-basics'] }]);
+
+    // Once in the vocabulary, the tag is kept and no longer new
+    const again = mergeIndex(index, generated);
+    assert.deepStrictEqual(again.index.tags, index.tags);
+    assert.deepStrictEqual(again.report.newTags, []);
+});
+
+test('mergeIndex drops generated post fields the generator no longer emits', () => {
+    const existing = {
+        posts: [{ slug: 'ssd-basics', date: '2025-09-01', tags: [], related: ['cpu-basics'], pinned: true }],
+        categories: [],
+        tags: []
+    };
+    const generated = {
+        posts: [{ slug: 'ssd-basics', date: '2025-09-01', tags: [] }],
+        categories: [],
+        tags: []
+    };
+
+    const [post] = mergeIndex(existing, generated).index.posts;
+    assert.deepStrictEqual(post, { slug: 'ssd-basics', date: '2025-09-01', tags: [], pinned: true });
+});
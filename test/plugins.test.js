@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPlugins } = require('../lib/plugins');
+const { copySite, removeSite } = require('./helpers');
+
+test('a plugin\'s signature follows its options and source', () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    try {
+        const pluginFile = path.join(rootDir, 'reading-level.js');
+        fs.writeFileSync(pluginFile, "module.exports = options => ({ name: 'reading-level', afterIndex() {} });\n");
+        const signatureOf = options => loadPlugins({ plugins: [['./reading-level.js', options]] }, rootDir)[0].signature;
+
+        const original = signatureOf({ level: 1 });
+        assert.strictEqual(signatureOf({ level: 1 }), original);
+        assert.notStrictEqual(signatureOf({ level: 2 }), original);
+
+        fs.appendFileSync(pluginFile, '// tweaked\n');
+        assert.notStrictEqual(signatureOf({ level: 1 }), original);
+    } finally {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    }
+});
+
+test('a failing plugin hook fails the index run', async () => {
+    const siteDir = copySite();
+    try {
+        const { createIndexer } = require(path.join(siteDir, 'generate-posts-index'));
+        for (const hook of ['onFile', 'transformPost']) {
+            const broken = { name: 'broken', [hook]() { throw new Error('boom'); } };
+            const indexer = createIndexer({ plugins: [broken] });
+
+            assert.strictEqual(await indexer.generatePostsIndex(), undefined);
+            assert.strictEqual(process.exitCode, 1);
+            process.exitCode = undefined;
+        }
+    } finally {
+        removeSite(siteDir);
+    }
+});
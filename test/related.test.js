@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findRelatedPosts } = require('../lib/related');
+
+function post(slug, category, tags, status = 'published') {
+    return { slug, title: slug, excerpt: '', date: '2025-09-01', category, tags, status };
+}
+
+test('related posts rank shared tags, category and text, and skip unpublished posts', () => {
+    const posts = [
+        post('ram-explained', 'Hardware', ['Memory', 'RAM']),
+        post('cache-explained', 'Hardware', ['Memory', 'Cache']),
+        post('ssd-explained', 'Hardware', ['Storage']),
+        post('css-grid', 'Web', ['CSS']),
+        post('memory-draft', 'Hardware', ['Memory', 'RAM'], 'draft')
+    ];
+    const contents = {
+        'ram-explained': '<p>Memory chips hold data while the computer runs.</p>',
+        'cache-explained': '<p>Cache memory chips sit next to the processor.</p>',
+        'ssd-explained': '<p>Drives keep files when the power is off.</p>',
+        'css-grid': '<p>Grid lays out boxes on a page.</p>',
+        'memory-draft': '<p>Memory chips hold data while the computer runs.</p>'
+    };
+
+    const related = findRelatedPosts(posts, contents, { limit: 2 });
+    assert.deepStrictEqual(related['ram-explained'], ['cache-explained', 'ssd-explained']);
+    assert.ok(!Object.values(related).some(slugs => slugs.includes('memory-draft')));
+    assert.deepStrictEqual(related['css-grid'], []);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { copySite, removeSite } = require('./helpers');
+
+test('a post created with `new` passes --check', async () => {
+    const siteDir = copySite();
+    try {
+        const { createIndexer } = require(path.join(siteDir, 'generate-posts-index'));
+        const { scaffoldPost } = require(path.join(siteDir, 'lib', 'scaffold'));
+
+        // An empty posts directory, so only the scaffolded posts are checked
+        fs.mkdirSync(path.join(siteDir, 'scaffolded'));
+        const indexer = createIndexer({ overrides: { postsDir: 'scaffolded' } });
+        for (const markdown of [false, true]) {
+            await scaffoldPost({
+                title: markdown ? 'Scaffolded Markdown Post' : 'Scaffolded Post',
+                description: 'A post straight out of the new command.',
+                category: 'Computer Basics',
+                tags: ['Basics'],
+                date: '2025-10-01',
+                markdown
+            }, indexer.config);
+        }
+
+        assert.strictEqual(indexer.checkPosts(), 0);
+    } finally {
+        removeSite(siteDir);
+    }
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, buildIndex, searchIndex } = require('../search');
+
+const DOCUMENTS = [
+    {
+        slug: 'what-is-a-computer',
+        title: 'What Exactly Is a Computer?',
+        tags: ['Basics'],
+        category: 'Computer Basics',
+        excerpt: 'A computer takes input, processes it and gives output.',
+        content: 'A computer takes input, processes it and gives output.'
+    },
+    {
+        slug: 'what-is-a-computer-te',
+        title: 'కంప్యూటర్ అంటే ఏమిటి?',
+        tags: ['ప్రాథమికాలు'],
+        category: 'కంప్యూటర్ బేసిక్స్',
+        excerpt: 'కంప్యూటర్ ఇన్‌పుట్ తీసుకుని అవుట్‌పుట్ ఇస్తుంది.',
+        content: 'కంప్యూటర్ ఇన్‌పుట్ తీసుకుని ప్రాసెస్ చేసి అవుట్‌పుట్ ఇస్తుంది.'
+    }
+];
+
+test('tokenize keeps words in non-Latin scripts whole', () => {
+    assert.deepStrictEqual(tokenize('కంప్యూటర్ అంటే ఏమిటి?'), ['కంప్యూటర్', 'అంటే', 'ఏమిటి']);
+    assert.deepStrictEqual(tokenize('Café, x86!'), ['cafe', 'x86']);
+});
+
+test('finds a non-Latin post by a word of its text', () => {
+    const index = buildIndex(DOCUMENTS);
+
+    const results = searchIndex(index, 'ప్రాసెస్');
+    assert.deepStrictEqual(results.map(result => result.slug), ['what-is-a-computer-te']);
+    assert.match(searchIndex(index, 'తీసుకుని')[0].snippet, /<mark>తీసుకుని<\/mark>/);
+
+    // The last word matches as a prefix while typing
+    assert.strictEqual(searchIndex(index, 'కంప్యూ')[0].slug, 'what-is-a-computer-te');
+    assert.strictEqual(searchIndex(index, 'computers')[0].slug, 'what-is-a-computer');
+});
+
+test('the index keeps only what a result shows', () => {
+    const index = buildIndex(DOCUMENTS);
+
+    assert.deepStrictEqual(index.docs[0], {
+        slug: 'what-is-a-computer',
+        title: 'What Exactly Is a Computer?',
+        excerpt: 'A computer takes input, processes it and gives output.',
+        sample: 'A computer takes input, processes it and gives output.'
+    });
+
+    const [result] = searchIndex(index, 'processes');
+    assert.strictEqual(result.title, 'What Exactly Is a Computer?');
+    assert.strictEqual(result.snippet, 'A computer takes input, <mark>processes</mark> it and gives output.');
+});
+
+test('a match only in the post text is highlighted in the snippet', () => {
+    const index = buildIndex([{
+        ...DOCUMENTS[0],
+        content: `${'Filler words about nothing much. '.repeat(20)}The motherboard connects every component.`
+    }]);
+
+    const [result] = searchIndex(index, 'motherboard');
+    assert.match(result.snippet, /^….*<mark>motherboard<\/mark> connects every component\.$/);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { postHeadTags } = require('../lib/seo');
+
+const POST = {
+    slug: 'what-exactly-is-a-computer',
+    title: 'What Exactly Is a Computer?',
+    excerpt: 'A computer takes input and gives output.',
+    date: '2025-09-24',
+    author: 'SilentCoderHub',
+    category: 'Computer Basics',
+    tags: ['Basics']
+};
+
+const imageOf = options => postHeadTags(POST, { siteUrl: 'https://example.com', siteTitle: 'Example', ...options })
+    .find(([, attributes]) => attributes.property === 'og:image')[1].content;
+
+test('og:image is the post\'s PNG card, or the logo without cards', () => {
+    assert.strictEqual(imageOf({ features: { socialCards: true } }), 'https://example.com/og/what-exactly-is-a-computer.png');
+    assert.strictEqual(imageOf({ features: { socialCards: false } }), 'https://example.com/assets/logo.png');
+});
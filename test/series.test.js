@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { collectSeries, seriesPosition } = require('../lib/series');
+
+const POSTS = [
+    { slug: 'storage', date: '2025-09-26', series: 'Computer Fundamentals', seriesPart: 4 },
+    { slug: 'what-is-a-computer', date: '2025-09-20', series: 'Computer Fundamentals', seriesPart: 1 },
+    { slug: 'bonus-quiz', date: '2025-09-10', series: 'Computer Fundamentals', seriesPart: null },
+    { slug: 'memory', date: '2025-09-21', series: 'Computer Fundamentals', seriesPart: 2 },
+    { slug: 'css-grid', date: '2025-09-22', series: null, seriesPart: null }
+];
+
+test('series list their posts in part order, unnumbered parts last', () => {
+    assert.deepStrictEqual(collectSeries(POSTS), [{
+        name: 'Computer Fundamentals',
+        slug: 'computer-fundamentals',
+        posts: ['what-is-a-computer', 'memory', 'storage', 'bonus-quiz']
+    }]);
+});
+
+test('a post\'s position is numbered among the published parts', () => {
+    const indexData = { posts: POSTS, series: collectSeries(POSTS) };
+
+    const position = seriesPosition('storage', indexData);
+    assert.deepStrictEqual(
+        { ...position, prev: position.prev.slug, next: position.next.slug },
+        { name: 'Computer Fundamentals', part: 3, total: 4, prev: 'memory', next: 'bonus-quiz' }
+    );
+    assert.strictEqual(seriesPosition('what-is-a-computer', indexData).prev, null);
+    assert.strictEqual(seriesPosition('css-grid', indexData), null);
+});
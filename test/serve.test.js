@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { parseServeArgs, startDevServer } = require('../lib/serve');
+
+test('parseServeArgs reads --port and --host', () => {
+    assert.deepStrictEqual(parseServeArgs(['--port=8080', '--host', '0.0.0.0']), { port: 8080, host: '0.0.0.0' });
+    assert.throws(() => parseServeArgs(['--port', 'eighty']), /--port must be a number/);
+});
+
+test('serves pages with the live-reload client and pushes reloads', async t => {
+    t.mock.method(console, 'log', () => {});
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'serve-'));
+    fs.writeFileSync(path.join(rootDir, 'index.html'), '<html><body><h1>Home</h1></body></html>');
+    fs.mkdirSync(path.join(rootDir, '.cache'));
+    fs.writeFileSync(path.join(rootDir, '.cache', 'secret.json'), '{}');
+
+    const devServer = await startDevServer({ rootDir, port: 0, host: '127.0.0.1' });
+    try {
+        const home = await fetch(devServer.url);
+        assert.strictEqual(home.status, 200);
+        assert.match(await home.text(), /<h1>Home<\/h1><script src="\/__livereload\.js"><\/script>\n<\/body>/);
+        assert.strictEqual((await fetch(`${devServer.url}.cache/secret.json`)).status, 404);
+
+        const event = await new Promise((resolve, reject) => {
+            http.get(`${devServer.url}__livereload`, response => {
+                let received = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => {
+                    received += chunk;
+                    if (received.startsWith('retry:') && !received.includes('event:')) devServer.reload();
+                    const match = received.match(/event: (\w+)\n/);
+                    if (match) {
+                        response.destroy();
+                        resolve(match[1]);
+                    }
+                });
+            }).on('error', reject);
+        });
+        assert.strictEqual(event, 'reload');
+    } finally {
+        devServer.server.closeAllConnections();
+        await new Promise(resolve => devServer.server.close(resolve));
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    }
+});
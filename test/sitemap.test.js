@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateSitemap } = require('../lib/sitemap');
+
+test('lists pages and published posts with their own lastmod', t => {
+    t.mock.method(console, 'log', () => {});
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-'));
+    try {
+        const indexPage = path.join(rootDir, 'index.html');
+        fs.writeFileSync(indexPage, '<html></html>');
+        fs.utimesSync(indexPage, new Date('2025-01-01T00:00:00Z'), new Date('2025-01-01T00:00:00Z'));
+
+        const indexData = {
+            posts: [
+                { slug: 'ssd-basics', status: 'published', lastModified: '2025-09-20T10:00:00.000Z' },
+                { slug: 'next-week', status: 'draft', lastModified: '2025-09-25T10:00:00.000Z' }
+            ]
+        };
+        generateSitemap(indexData, {
+            siteUrl: 'https://example.com/blog',
+            rootDir,
+            outputDir: rootDir,
+            excludeDrafts: true,
+            listingPages: [{ path: 'tag/storage/', lastModified: '2025-09-20T10:00:00.000Z' }]
+        });
+
+        const sitemap = fs.readFileSync(path.join(rootDir, 'sitemap.xml'), 'utf8');
+        const entries = [...sitemap.matchAll(/<loc>(.*)<\/loc>\s*<lastmod>(.*)<\/lastmod>/g)].map(([, loc, lastmod]) => [loc, lastmod]);
+        assert.deepStrictEqual(entries, [
+            // The home page changed when its newest post did
+            ['https://example.com/blog/', '2025-09-20T10:00:00.000Z'],
+            ['https://example.com/blog/posts/ssd-basics.html', '2025-09-20T10:00:00.000Z'],
+            ['https://example.com/blog/tag/storage/', '2025-09-20T10:00:00.000Z']
+        ]);
+        assert.match(fs.readFileSync(path.join(rootDir, 'robots.txt'), 'utf8'), /^Sitemap: https:\/\/example\.com\/blog\/sitemap\.xml$/m);
+    } finally {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    }
+});
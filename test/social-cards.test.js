@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { canRenderSocialCards, socialCardUrl, generateSocialCards } = require('../lib/social-cards');
+
+const POST = {
+    slug: 'what-exactly-is-a-computer',
+    title: 'What Exactly Is a Computer?',
+    category: 'Computer Basics',
+    readTime: '5 min read',
+    author: 'SilentCoderHub'
+};
+
+test('writes an SVG card per post, and a PNG when it can be rendered', () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cards-'));
+    try {
+        generateSocialCards([POST], { outputDir, siteTitle: 'Example' });
+
+        const svg = fs.readFileSync(path.join(outputDir, 'og', `${POST.slug}.svg`), 'utf8');
+        assert.match(svg, /^<svg[^>]*width="1200"/);
+        assert.match(svg, /What Exactly Is a Computer\?/);
+        assert.strictEqual(fs.existsSync(path.join(outputDir, 'og', `${POST.slug}.png`)), canRenderSocialCards());
+
+        const written = canRenderSocialCards() ? 'png' : 'svg';
+        assert.strictEqual(socialCardUrl(POST.slug, { siteUrl: 'https://example.com' }),
+            `https://example.com/og/${POST.slug}.${written}`);
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { htmlStats, readMinutes, formatReadTime, totalStats } = require('../lib/stats');
+
+test('counts prose, code lines, images and outbound links separately', () => {
+    const stats = htmlStats(`
+        <h2>Setup</h2>
+        <p>Install the package first, then run it.</p>
+        <pre><code>npm install
+
+npm start</code></pre>
+        <script>var ignored = 'not prose';</script>
+        <img src="a.png"><img src="b.png">
+        <a href="https://example.com/about">ours</a>
+        <a href="https://nodejs.org/">theirs</a>
+        <a href="/posts/other.html">relative</a>`, { siteUrl: 'https://example.com' });
+
+    assert.deepStrictEqual(stats, {
+        words: 11,
+        codeBlocks: 1,
+        codeLines: 2,
+        images: 2,
+        headings: 1,
+        outboundLinks: 1
+    });
+});
+
+test('read time adds code lines and images to the prose', () => {
+    // 400 words at 200 wpm = 120s, 15 code lines = 60s, images 12s + 11s = 23s
+    assert.strictEqual(readMinutes({ words: 400, codeLines: 15, images: 2 }, 200), 4);
+    assert.strictEqual(readMinutes({ words: 0, codeLines: 0, images: 0 }, 200), 1);
+    assert.strictEqual(formatReadTime(4), '4 min read');
+});
+
+test('totals and averages across posts', () => {
+    const posts = [
+        { date: '2025-09-26', stats: { words: 1000, readMinutes: 5 } },
+        { date: '2025-09-20', stats: { words: 500, readMinutes: 2 } }
+    ];
+    const totals = totalStats(posts);
+
+    assert.strictEqual(totals.totalWords, 1500);
+    assert.strictEqual(totals.averageReadTime, 4);
+    assert.strictEqual(totals.latestPost, '2025-09-26');
+    assert.strictEqual(totals.oldestPost, '2025-09-20');
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { assignHeadingIds, addHeadingIds } = require('../lib/toc');
+
+test('headings get stable, unique ids and make up the outline', () => {
+    const container = new JSDOM(`<div>
+        <h2>The Memory Hierarchy</h2>
+        <h3 id="why-cache">Why  cache?</h3>
+        <h2>Summary</h2>
+        <h4>Not listed</h4>
+        <h2>Summary</h2>
+    </div>`).window.document.body.firstChild;
+
+    assert.deepStrictEqual(assignHeadingIds(container), [
+        { level: 2, text: 'The Memory Hierarchy', id: 'the-memory-hierarchy' },
+        { level: 3, text: 'Why cache?', id: 'why-cache' },
+        { level: 2, text: 'Summary', id: 'summary' },
+        { level: 2, text: 'Summary', id: 'summary-2' }
+    ]);
+    assert.strictEqual(container.querySelector('h4').id, '');
+});
+
+test('addHeadingIds adds the ids to an HTML fragment', () => {
+    assert.strictEqual(addHeadingIds('<h2>Input Devices</h2><p>Text</p>'), '<h2 id="input-devices">Input Devices</h2><p>Text</p>');
+});
+
+test('addHeadingIds numbers repeated headings in document order', () => {
+    assert.strictEqual(addHeadingIds('<h3>Summary</h3><h2>Summary</h2>'), '<h3 id="summary">Summary</h3><h2 id="summary-2">Summary</h2>');
+});
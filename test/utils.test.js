@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { slugify } = require('../lib/utils');
+
+test('slugify keeps non-Latin scripts and drops Latin accents', () => {
+    assert.strictEqual(slugify('I/O Devices'), 'i-o-devices');
+    assert.strictEqual(slugify('Café & Crème'), 'cafe-and-creme');
+    assert.strictEqual(slugify('తెలుగు వ్యాసం'), 'తెలుగు-వ్యాసం');
+    assert.strictEqual(slugify('हिन्दी लेख'), 'हिन्दी-लेख');
+});
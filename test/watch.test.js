@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { copySite, removeSite } = require('./helpers');
+
+test('a burst of saves triggers a single rebuild', async t => {
+    const siteDir = copySite();
+    const log = t.mock.method(console, 'log', () => {});
+    let watcher;
+    try {
+        const { createIndexer } = require(path.join(siteDir, 'generate-posts-index'));
+        const indexer = createIndexer({ overrides: { features: { feeds: false, sitemap: false, search: false, socialCards: false } } });
+        await indexer.generatePostsIndex();
+
+        const rebuilt = new Promise(resolve => {
+            watcher = indexer.watchPostsDirectory({}, resolve);
+        });
+        const postFile = path.join(siteDir, 'posts', 'what-exactly-is-a-computer.html');
+        const html = fs.readFileSync(postFile, 'utf8');
+        for (let i = 0; i < 5; i++) {
+            fs.writeFileSync(postFile, `${html}<!-- save ${i} -->`);
+        }
+        await rebuilt;
+
+        const detected = log.mock.calls.map(call => String(call.arguments[0])).filter(line => line.includes('📝 Detected'));
+        assert.deepStrictEqual(detected, ['\n📝 Detected ~ what-exactly-is-a-computer.html, regenerating index...']);
+    } finally {
+        if (watcher) watcher.close();
+        removeSite(siteDir);
+    }
+});